@@ -1,7 +1,7 @@
 const RingBufferLogger = require('../index');
 
 // Create a logger with small capacity for demo purposes
-const logger = new RingBufferLogger(10, './demo-logs');
+const logger = new RingBufferLogger(10, './demo-logs', { reportToConsole: true });
 
 console.log('Ring Buffer Logger Demo');
 console.log('========================\n');
@@ -1,18 +1,37 @@
-const fs = require('fs');
-const path = require('path');
+const EventEmitter = require('events');
+const { createTriggerPolicy } = require('./lib/triggers');
+const { LEVELS, levelOf, resolveLevel } = require('./lib/levels');
+const { ChildLogger, mergeBindings } = require('./lib/child');
+const { ContextStore } = require('./lib/context');
+const { resolveTraceContext, runWithTrace, openIncident, addIncidentTrace, incidentHeader } = require('./lib/trace');
+const { resolveConstructorArgs, resolvePostErrorWindow, resolveLimits, resolveMaxBytes, resolveMaxEventNames } = require('./lib/options');
+const { EventTable, selectEvent, countEvents } = require('./lib/intern');
+const { estimateEntrySize } = require('./lib/size');
+const { collectIncidents } = require('./lib/incidents');
+const { quote, stringify } = require('./lib/json');
+const { createSinks, writeToSinks, writeToSinksAsync } = require('./lib/sinks');
+const FlushQueue = require('./lib/flush-queue');
+const { createRunId } = require('./lib/filenames');
+const { installProcessHandlers } = require('./lib/process-handlers');
+const { captureConsole } = require('./lib/console-capture');
+const { reportWrite, reportFlushError, attachConsoleReporter } = require('./lib/events');
+const { createHttpMiddleware } = require('./lib/http');
+const { createRedactor } = require('./lib/redact');
+const {
+  createJsonReplacer, limitEntryBytes, DEFAULT_MAX_STACK_LINES, TYPE_KEY
+} = require('./lib/serialize');
+
+const hasTypeKey = (v) => Object.prototype.hasOwnProperty.call(v, TYPE_KEY);
+// Returned by _plainCopy() for values the JSON round trip has to handle
+const SLOW_PATH = Symbol('slow path');
 
 // Ultra-optimized constants as integers/buffers where possible
-const ERROR_HASH = 0xf6321ef; // Pre-computed djb2 hash of "error"
 const SCHEMA_BYTES = Buffer.from('{"schema":"v1","reason":"');
 const FLUSH_ID_BYTES = Buffer.from('","flushId":');
 const FLUSHED_AT_BYTES = Buffer.from(',"flushedAt":"');
 const EVENTS_BYTES = Buffer.from('","events":[');
 const CLOSE_BYTES = Buffer.from(']}');
 
-// Bit manipulation helpers
-const HASH_SHIFT = 5;
-const INT32_MAX = 0x7FFFFFFF;
-
 // Pre-allocated byte buffers for common operations
 const ISO_BUFFER = Buffer.alloc(24); // ISO timestamp buffer
 
@@ -24,7 +43,7 @@ class UltraObjectPool {
 
     // Pre-allocate all objects
     for (let i = 0; i < size; i++) {
-      this.pool[i] = { ts: '', flushId: 0, event: '', data: null };
+      this.pool[i] = { ts: '', flushId: 0, event: '', level: 0, data: null, bindings: null, traceId: null, spanId: null, incidentId: undefined };
     }
   }
 
@@ -40,7 +59,7 @@ class UltraObjectPool {
     }
 
     // Fallback: create new object if pool exhausted
-    return { ts: '', flushId: 0, event: '', data: null };
+    return { ts: '', flushId: 0, event: '', level: 0, data: null, bindings: null, traceId: null, spanId: null, incidentId: undefined };
   }
 
   release(obj) {
@@ -53,21 +72,43 @@ class UltraObjectPool {
       obj.ts = '';
       obj.flushId = 0;
       obj.event = '';
+      obj.level = 0;
       obj.data = null;
+      obj.bindings = null;
+      obj.traceId = null;
+      obj.spanId = null;
+      obj.incidentId = undefined;
     }
   }
+
+  // Pooled objects ready for reuse
+  available() {
+    let count = 0;
+    for (let i = 0; i < this.used.length; i++) {
+      if (this.used[i] === 0) count++;
+    }
+    return count;
+  }
 }
 
-class RingBufferLoggerUltra {
-  constructor(capacity = 100, logDir = './logs') {
+class RingBufferLoggerUltra extends EventEmitter {
+  constructor(capacity = 100, logDir = './logs', options = {}) {
+    super();
+    // new Logger({ capacity, logDir, ...options }) works too
+    ({ capacity, logDir, options } = resolveConstructorArgs(capacity, logDir, options));
     // Force capacity to nearest higher power of 2 for bit masking
     this.capacity = 1 << (32 - Math.clz32(capacity - 1));
     this.capacityMask = this.capacity - 1; // Bit mask for fast modulo
 
     // Pre-allocated arrays - use native arrays for objects, typed for primitives
     this.buffer = new Array(this.capacity);
-    this.hashes = new Uint32Array(this.capacity);   // Event hash codes
+    this.eventIds = new Uint16Array(this.capacity); // Interned event names, 0 when not interned
     this.timestamps = new Float64Array(this.capacity); // Unix timestamps
+    // Optional byte budget: the oldest entries are evicted until the
+    // estimated serialized size of the ring fits
+    this.maxBytes = resolveMaxBytes(options);
+    this.sizes = this.maxBytes !== null ? new Float64Array(this.capacity) : null;
+    this.bytes = 0;
 
     // State variables
     this.index = 0;
@@ -77,36 +118,58 @@ class RingBufferLoggerUltra {
     this.logDir = logDir;
     this.flushing = 0;
 
+    // Trigger policy; event names are matched by interned id
+    this.trigger = createTriggerPolicy(options.triggers);
+    // Capture threshold (what enters the ring) and trigger threshold (what
+    // flushes), both adjustable at runtime. The trigger threshold defaults to
+    // error unless the caller configures their own `triggers`.
+    this.level = resolveLevel(options.level, 0) || 0;
+    this.triggerLevel = resolveLevel(options.triggerLevel, options.triggers === undefined ? LEVELS.error : null, 'triggerLevel');
+    this.triggerMatch = this.trigger.match;
+    // Stack lines plus the size limits: maxDepth, maxKeys, maxArrayLength,
+    // maxStringLength and maxEntryBytes
+    this.serializeOptions = { maxStackLines: options.maxStackLines || DEFAULT_MAX_STACK_LINES, ...resolveLimits(options) };
+    // Applied to every entry's data after sanitizing, before it enters the ring
+    this.redact = createRedactor(options.redact);
+    this.bindingsJson = new WeakMap(); // child logger bindings -> JSON
+    // Event names -> small ids (lib/intern.js). Trigger names are interned
+    // first, so they always have an id and a flag in triggerIds.
+    this.events = new EventTable(resolveMaxEventNames(options));
+    for (const name of this.trigger.events) this.events.reserve(name);
+    this.triggerIds = new Uint8Array(this.events.size + 1);
+    for (const name of this.trigger.events) this.triggerIds[this.events.lookup(name)] = 1;
+
+    // Post-error window as an entry countdown plus optional timer
+    const postErrorWindow = resolvePostErrorWindow(options, this.capacity);
+    this.postErrorEntries = postErrorWindow.entries;
+    this.postErrorMs = postErrorWindow.ms;
+    this.postErrorCount = 0;
+    this.postErrorTimer = null;
+    this.windowCount = 0;
+    this.incidentId = 0;
+    // Correlation id and trace ids of the open incident, see lib/trace.js
+    this.incident = null;
+    // Where entries get their traceId/spanId from
+    this.traceContext = resolveTraceContext(options.traceContext);
+
     // Ultra-optimized object pool
     this.entryPool = new UltraObjectPool(this.capacity * 2);
 
     // Pre-computed values
     this.logDirBuffer = Buffer.from(logDir);
 
-    this._ensureLogDir();
-  }
-
-  // Ultra-fast djb2 hash with bit operations
-  _hash(str) {
-    if (str == null) str = '';
-    let hash = 5381;
-    const len = str.length;
-    let i = 0;
-
-    // Process 4 characters at a time where possible
-    while (i + 3 < len) {
-      hash = ((hash << HASH_SHIFT) + hash) + str.charCodeAt(i++);
-      hash = ((hash << HASH_SHIFT) + hash) + str.charCodeAt(i++);
-      hash = ((hash << HASH_SHIFT) + hash) + str.charCodeAt(i++);
-      hash = ((hash << HASH_SHIFT) + hash) + str.charCodeAt(i++);
-    }
-
-    // Handle remaining characters
-    while (i < len) {
-      hash = ((hash << HASH_SHIFT) + hash) + str.charCodeAt(i++);
-    }
-
-    return (hash >>> 0) & INT32_MAX; // Keep as positive 32-bit int
+    // Default file sink skips fsync, like the original writeFileSync path
+    this.runId = options.runId || createRunId();
+    this.sinks = createSinks(options.sinks, logDir, { fsync: false, ...options, runId: this.runId });
+    this.flushQueue = options.asyncFlush ? new FlushQueue() : null;
+    // Request-scoped rings for runInContext(), see lib/context.js
+    this.contexts = options.contexts ? new ContextStore(this, options.contexts) : null;
+    this.processHandlers = null;
+    this.consoleCapture = null;
+    // Status lines on the console are opt-in; see lib/events.js for the events
+    if (options.reportToConsole) attachConsoleReporter(this);
+    this.closed = false;
+    this.closing = null;
   }
 
   // Ultra-fast ISO timestamp generation using buffer manipulation
@@ -127,118 +190,332 @@ class RingBufferLoggerUltra {
     return `${year}-${month < 10 ? '0' : ''}${month}-${day < 10 ? '0' : ''}${day}T${hour < 10 ? '0' : ''}${hour}:${minute < 10 ? '0' : ''}${minute}:${second < 10 ? '0' : ''}${second}.${ms < 100 ? (ms < 10 ? '00' : '0') : ''}${ms}Z`;
   }
 
-  log(event, data = {}) {
-    const eventHash = this._hash(event);
+  // Level methods: logger.warn('slow_query', data), or logger.warn(data) to
+  // use the level name as the event
+  trace(event, data) { return this._logAt('trace', event, data); }
+  debug(event, data) { return this._logAt('debug', event, data); }
+  info(event, data) { return this._logAt('info', event, data); }
+  warn(event, data) { return this._logAt('warn', event, data); }
+  error(event, data) { return this._logAt('error', event, data); }
+  fatal(event, data) { return this._logAt('fatal', event, data); }
+
+  _logAt(name, event, data) {
+    if (typeof event === 'string') return this.log(event, data, LEVELS[name]);
+    return this.log(name, event, LEVELS[name]);
+  }
+
+  // Entries below this level are dropped unless they trigger; null captures everything
+  setLevel(level) {
+    this.level = resolveLevel(level, 0) || 0;
+    return this;
+  }
+
+  // Entries at or above this level trigger a flush; null turns level triggers off
+  setTriggerLevel(level) {
+    this.triggerLevel = resolveLevel(level, null, 'triggerLevel');
+    return this;
+  }
+
+  // Logger writing into this ring with `bindings` attached to every entry
+  child(bindings) {
+    return this._child(null, bindings);
+  }
+
+  _child(parentBindings, bindings) {
+    return new ChildLogger(this, mergeBindings(parentBindings, bindings, (data) => this._ultraSanitize(data, Infinity)));
+  }
+
+  // bindings and canTrigger are internal: used by child loggers and console capture
+  log(event, data = {}, level, bindings = null, canTrigger = true) {
+    // Late entries (a request finishing during shutdown) are dropped, not thrown
+    if (this.closed) {
+      if (this.listenerCount('drop') !== 0) {
+        this.emit('drop', { reason: 'closed', event, level: level === undefined ? levelOf(event, data) : resolveLevel(level) });
+      }
+      return;
+    }
+
+    const eventId = this.events.lookup(event);
+    const severity = level === undefined ? levelOf(event, data) : resolveLevel(level);
+    // Trigger policies only get an explicit level, so without one a minLevel
+    // policy still reads a numeric data.level
+    const policyLevel = level === undefined ? undefined : severity;
+
+    // Trigger names are matched by interned id, exact by construction
+    const isTrigger = canTrigger && (this.triggerIds[eventId] === 1 ||
+      (this.triggerLevel !== null && severity >= this.triggerLevel) ||
+      (this.triggerMatch !== null && this.triggerMatch(event, data, policyLevel)));
+    // Below the capture threshold: dropped before sanitizing, unless it triggers
+    if (severity < this.level && !isTrigger) {
+      if (this.listenerCount('drop') !== 0) this.emit('drop', { reason: 'level', event, level: severity });
+      return;
+    }
+
+    // Active trace context: a runWithTrace() header or the traceContext option
+    const traceContext = this.traceContext();
+    const traceId = traceContext ? traceContext.traceId : null;
+    const spanId = traceContext && traceContext.spanId !== undefined ? traceContext.spanId : null;
+
+    if (this.contexts !== null) {
+      const scope = this.contexts.current();
+      if (scope !== undefined) {
+        // Context rings keep their own entries, so these aren't pooled
+        const scoped = {
+          ts: this._fastTimestamp(), flushId: this.flushId, event, level: severity,
+          data: this._ultraSanitize(data), bindings, traceId, spanId, incidentId: undefined
+        };
+        this.contexts.record(scope, scoped, isTrigger);
+        return;
+      }
+    }
+
     const entry = this.entryPool.get();
 
     // Minimize property access overhead
     entry.ts = this._fastTimestamp();
     entry.flushId = this.flushId;
     entry.event = event;
+    entry.level = severity;
     entry.data = this._ultraSanitize(data);
+    entry.bindings = bindings; // shared with every entry of the same child logger
+    entry.traceId = traceId;
+    entry.spanId = spanId;
 
     // Store with bit-masked index
     const idx = this.index;
     this.buffer[idx] = entry;
-    this.hashes[idx] = eventHash;
+    // Interned once stored, so dropped entries don't use up the table
+    this.eventIds[idx] = eventId !== 0 ? eventId : this.events.intern(event);
     this.timestamps[idx] = Date.now();
 
-    // Ultra-fast error detection using pre-computed hash
-    if (eventHash === ERROR_HASH && !this.errorSeen) {
+    // Bit-masked increment (2x faster than modulo), before any flush so the
+    // snapshot ends with this entry
+    this.index = (idx + 1) & this.capacityMask;
+    if (this.index === 0) this.emit('wrap', { capacity: this.capacity, flushId: this.flushId });
+    if (this.maxBytes !== null) this._fitBudget(idx, entry);
+
+    if (isTrigger) {
+      entry.incidentId = ++this.incidentId;
+      if (this.incident === null) this.incident = openIncident();
+      addIncidentTrace(this.incident, entry.traceId);
+      this.emit('trigger', {
+        event, level: severity, incidentId: entry.incidentId,
+        correlationId: this.incident.correlationId, traceId: entry.traceId || null
+      });
+    }
+
+    if (this.errorSeen) {
+      this.windowCount++;
+      if (isTrigger) {
+        this._startPostErrorWindow(); // Overlapping incident extends the window
+      } else {
+        this.postErrorCount++;
+      }
+    } else if (isTrigger) {
       this._flush('pre-error-context');
       this.flushId++;
       this.errorSeen = 1;
       this.errorLoggedAt = idx;
+      this.windowCount = 0;
+      this._startPostErrorWindow();
     }
 
-    // Bit-masked increment (2x faster than modulo)
-    this.index = (idx + 1) & this.capacityMask;
+    // Integer compares against the window length and ring size
+    if (this.errorSeen) {
+      if (this.postErrorCount >= this.postErrorEntries) {
+        this._flushPostError();
+      } else if (this.windowCount >= this.capacity) {
+        this._flush('post-error-context');
+        this.flushId++;
+        this.windowCount = 0;
+      }
+    }
+  }
 
-    // Check wraparound to error position
-    if (this.errorSeen && this.index === this.errorLoggedAt) {
-      this._flush('post-error-context');
-      this.flushId++;
-      this.errorSeen = 0;
-      this.errorLoggedAt = null;
+  _startPostErrorWindow() {
+    this.postErrorCount = 0;
+    clearTimeout(this.postErrorTimer);
+    if (this.postErrorMs !== null) {
+      this.postErrorTimer = setTimeout(() => this._flushPostError(), this.postErrorMs);
+      this.postErrorTimer.unref();
     }
   }
 
-  // Ultra-optimized sanitization with minimal allocations
-  _ultraSanitize(data) {
-    // Fast type checks
-    if (data == null) return {};
+  _flushPostError() {
+    if (!this.errorSeen) return;
+    clearTimeout(this.postErrorTimer);
+    this.postErrorTimer = null;
+
+    this._flush('post-error-context');
+    this.flushId++;
+    this.errorSeen = 0;
+    this.incident = null;
+    this.errorLoggedAt = null;
+    this.postErrorCount = 0;
+    this.windowCount = 0;
+  }
 
-    const type = typeof data;
-    if (type !== 'object') {
-      return type === 'string' && data.length > 1000 ?
-        data.slice(0, 1000) + '...' : data;
+  // Ultra-optimized sanitization: a deep copy taken when the entry is logged,
+  // identical to the original's JSON round trip, so later changes to the
+  // caller's objects never reach the ring and cycles fail at log time
+  _ultraSanitize(data, maxEntryBytes = this.serializeOptions.maxEntryBytes) {
+    if (data == null) return {};
+    try {
+      const clean = this._ultraCopy(data);
+      const redacted = this.redact === null ? clean : this.redact(clean);
+      return limitEntryBytes(redacted, maxEntryBytes);
+    } catch {
+      // Like the original, the placeholder itself is never cut by maxEntryBytes
+      return { error: 'serialization failed' };
     }
+  }
 
-    // Fast shallow clone for simple objects
-    if (data.constructor === Object) {
-      const result = {};
-      for (const key in data) {
-        const val = data[key];
-        if (typeof val === 'string' && val.length > 1000) {
-          result[key] = val.slice(0, 1000) + '...';
-        } else {
-          result[key] = val;
-        }
+  _ultraCopy(data) {
+    const copy = this._plainCopy(data, 1, new Set());
+    if (copy !== SLOW_PATH) return copy;
+
+    // Special types, errors, toJSON, cycles or a size limit: the JSON round
+    // trip tags and limits them exactly like the original
+    return JSON.parse(JSON.stringify(data, createJsonReplacer(this.serializeOptions)));
+  }
+
+  // Copies plain objects, arrays and primitives the way JSON would, or
+  // returns SLOW_PATH for anything else
+  _plainCopy(value, depth, ancestors) {
+    const type = typeof value;
+    if (type === 'string') {
+      const max = this.serializeOptions.maxStringLength;
+      return value.length > max ? value.slice(0, max) + '...' : value;
+    }
+    if (type === 'number') return Number.isFinite(value) ? value : null;
+    if (type === 'boolean' || value === null) return value;
+    if (type !== 'object') return SLOW_PATH;
+
+    const limits = this.serializeOptions;
+    if (depth > limits.maxDepth || ancestors.has(value) || typeof value.toJSON === 'function') return SLOW_PATH;
+
+    if (Array.isArray(value)) {
+      const len = value.length;
+      if (len > limits.maxArrayLength) return SLOW_PATH;
+      ancestors.add(value);
+      const result = new Array(len);
+      for (let i = 0; i < len; i++) {
+        const item = value[i];
+        // undefined, functions and symbols become null in arrays
+        const copy = item === undefined || typeof item === 'function' || typeof item === 'symbol' ?
+          null : this._plainCopy(item, depth + 1, ancestors);
+        if (copy === SLOW_PATH) return SLOW_PATH;
+        result[i] = copy;
       }
+      ancestors.delete(value);
       return result;
     }
 
-    // Handle arrays efficiently
-    if (Array.isArray(data)) {
-      return data.map(item =>
-        typeof item === 'string' && item.length > 1000 ?
-          item.slice(0, 1000) + '...' : item
-      );
+    const proto = Object.getPrototypeOf(value);
+    if ((proto !== Object.prototype && proto !== null) || hasTypeKey(value)) return SLOW_PATH;
+    const keys = Object.keys(value);
+    const len = keys.length;
+    if (len > limits.maxKeys) return SLOW_PATH;
+    ancestors.add(value);
+    const result = {};
+    for (let i = 0; i < len; i++) {
+      const key = keys[i];
+      const item = value[key];
+      // ...and are left out of objects
+      if (item === undefined || typeof item === 'function' || typeof item === 'symbol') continue;
+      const copy = this._plainCopy(item, depth + 1, ancestors);
+      if (copy === SLOW_PATH) return SLOW_PATH;
+      result[key] = copy;
     }
+    ancestors.delete(value);
+    return result;
+  }
 
-    // Fallback to JSON round-trip for complex objects
-    try {
-      return JSON.parse(JSON.stringify(data, (_, v) =>
-        typeof v === 'string' && v.length > 1000 ? v.slice(0, 1000) + '...' : v
-      ));
-    } catch {
-      return { error: 'serialization failed' };
+  // Bindings are shared by every entry of a child logger, so their JSON is
+  // built once per child
+  _bindingsJson(bindings) {
+    let json = this.bindingsJson.get(bindings);
+    if (json === undefined) {
+      json = JSON.stringify(bindings);
+      this.bindingsJson.set(bindings, json);
     }
+    return json;
   }
 
-  _flush(reason) {
+  _flush(reason, sync = false, clear = true) {
     if (this.flushing) return;
     this.flushing = 1;
 
     try {
       const events = this._ultraSnapshot();
-      const filename = path.join(this.logDir, `log-${reason}-${this.flushId}.json`);
+      const flushId = this.flushId;
+      const flushedAt = this._fastTimestamp();
+      const header = incidentHeader(this.incident);
+
+      if (this.flushQueue !== null && !sync) {
+        // Copy out of the pool before _ultraClear() recycles the entries
+        const len = events.length;
+        const detached = new Array(len);
+        for (let i = 0; i < len; i++) {
+          const e = events[i];
+          detached[i] = { ts: e.ts, flushId: e.flushId, event: e.event, level: e.level, data: e.data, bindings: e.bindings, traceId: e.traceId, spanId: e.spanId, incidentId: e.incidentId };
+        }
+        this.flushQueue.push(() => this._writeAsync(reason, flushId, flushedAt, detached, header));
+      } else {
+        this._write(reason, flushId, flushedAt, events, header);
+      }
+    } catch (err) {
+      reportFlushError(this, reason, this.flushId, err);
+    } finally {
+      this.flushing = 0;
+      if (clear) this._ultraClear();
+    }
+  }
 
-      // Ultra-fast JSON assembly using buffer concatenation
-      const jsonParts = [];
-      jsonParts.push(`{"schema":"v1","reason":"${reason}","flushId":${this.flushId},"flushedAt":"${this._fastTimestamp()}","events":[`);
+  _serialize(reason, flushId, flushedAt, events, header) {
+    // Ultra-fast JSON assembly using buffer concatenation; strings that may
+    // hold user text go through quote()
+    const jsonParts = [];
+    jsonParts.push(`{"schema":"v1","reason":${quote(reason)},"flushId":${flushId},"flushedAt":"${flushedAt}","correlationId":${stringify(header.correlationId)},"traceIds":${JSON.stringify(header.traceIds)},"incidents":${JSON.stringify(collectIncidents(events))},"events":[`);
+
+    // Serialize events with minimal allocations
+    for (let i = 0; i < events.length; i++) {
+      if (i > 0) jsonParts.push(',');
+      const e = events[i];
+      jsonParts.push(`{"ts":"${e.ts}","flushId":${e.flushId},"event":${quote(e.event)},"level":${e.level},"data":${stringify(e.data)}${e.bindings !== null ? `,"bindings":${this._bindingsJson(e.bindings)}` : ''}${e.traceId !== null ? `,"traceId":${quote(e.traceId)}` : ''}${e.spanId !== null ? `,"spanId":${quote(e.spanId)}` : ''}${e.incidentId !== undefined ? `,"incidentId":${e.incidentId}` : ''}}`);
+    }
 
-      // Serialize events with minimal allocations
-      for (let i = 0; i < events.length; i++) {
-        if (i > 0) jsonParts.push(',');
-        const e = events[i];
-        jsonParts.push(`{"ts":"${e.ts}","flushId":${e.flushId},"event":"${e.event}","data":${JSON.stringify(e.data)}}`);
-      }
+    jsonParts.push(']}');
+    return jsonParts.join('');
+  }
 
-      jsonParts.push(']}');
-      const json = jsonParts.join('');
+  _write(reason, flushId, flushedAt, events, header) {
+    const start = process.hrtime.bigint();
+    const json = this._serialize(reason, flushId, flushedAt, events, header);
+    const record = { reason, flushId, flushedAt, eventCount: events.length, json };
+    this._reportWrite(record, writeToSinks(this.sinks, record), start);
+  }
 
-      // Direct file operations
-      fs.writeFileSync(filename, json);
-      console.log(`Flushed ${reason} (${this.flushId}) -> ${filename}`);
+  async _writeAsync(reason, flushId, flushedAt, events, header) {
+    const start = process.hrtime.bigint();
+    try {
+      const json = this._serialize(reason, flushId, flushedAt, events, header);
+      const record = { reason, flushId, flushedAt, eventCount: events.length, json };
+      this._reportWrite(record, await writeToSinksAsync(this.sinks, record), start);
     } catch (err) {
-      console.error('Flush failed:', err);
-    } finally {
-      this.flushing = 0;
-      this._ultraClear();
+      reportFlushError(this, reason, flushId, err);
     }
   }
 
+  _reportWrite(record, result, start) {
+    reportWrite(this, record, result, start);
+  }
+
+  // Resolves once every queued asynchronous flush has been written
+  get flushed() {
+    return this.flushQueue !== null ? this.flushQueue.idle : Promise.resolve();
+  }
+
   // Ultra-optimized snapshot with minimal operations
   _ultraSnapshot() {
     const result = [];
@@ -269,33 +546,167 @@ class RingBufferLoggerUltra {
     }
 
     // Clear typed arrays (very fast)
-    this.hashes.fill(0);
+    this.eventIds.fill(0);
     this.timestamps.fill(0);
+    if (this.sizes !== null) {
+      this.sizes.fill(0);
+      this.bytes = 0;
+    }
+  }
+
+  // Operator-initiated dump; resolves once written (immediately unless asyncFlush)
+  flush(reason = 'manual', { clear = true, sync = false } = {}) {
+    this._flush(reason, sync, clear);
+    this.flushId++;
+    if (clear) this.windowCount = 0;
+    return this.flushed;
   }
 
-  _ensureLogDir() {
+  // Flushes an open post-error window, drains queued writes and stops accepting logs
+  close() {
+    if (this.closing === null) {
+      this.closed = true;
+      this._flushPostError();
+      this.removeProcessHandlers();
+      this.releaseConsole();
+      this.closing = this.flushed;
+    }
+    return this.closing;
+  }
+
+  // Opt-in: flush on uncaught exceptions, unhandled rejections and shutdown signals
+  installProcessHandlers(options) {
+    if (this.processHandlers === null) {
+      this.processHandlers = installProcessHandlers(this, options);
+    }
+    return this;
+  }
+
+  removeProcessHandlers() {
+    if (this.processHandlers !== null) {
+      this.processHandlers();
+      this.processHandlers = null;
+    }
+    return this;
+  }
+
+  // Opt-in: also log console output as `console` entries
+  captureConsole(options) {
+    if (this.consoleCapture === null) {
+      this.consoleCapture = captureConsole(this, options);
+    }
+    return this;
+  }
+
+  releaseConsole() {
+    if (this.consoleCapture !== null) {
+      this.consoleCapture();
+      this.consoleCapture = null;
+    }
+    return this;
+  }
+
+  // Request logging middleware for http servers and connect-style frameworks
+  middleware(options) {
+    return createHttpMiddleware(this, options);
+  }
+
+  // Entries in the ring, oldest first; only those of one event when given
+  getCurrentBuffer(event) {
+    if (event === undefined) return this._ultraSnapshot();
+    return selectEvent(this.events, this.eventIds, this.buffer, this.index, event);
+  }
+
+  // Number of entries in the ring per event name
+  getEventCounts() {
+    return countEvents(this.events, this.eventIds, this.buffer);
+  }
+
+  // Keeps the estimated size of the ring within maxBytes by evicting the
+  // oldest entries; the entry just written always stays, even if it alone
+  // is over budget
+  _fitBudget(idx, entry) {
+    const size = estimateEntrySize(entry.event, entry.data);
+    this.bytes += size - this.sizes[idx];
+    this.sizes[idx] = size;
+
+    for (let pos = this.index; this.bytes > this.maxBytes && pos !== idx; pos = (pos + 1) & this.capacityMask) {
+      if (this.buffer[pos] !== undefined) {
+        const evicted = this.buffer[pos];
+        this.emit('drop', { reason: 'budget', event: evicted.event, level: evicted.level });
+        this.entryPool.release(this.buffer[pos]);
+        this.buffer[pos] = undefined;
+        this.eventIds[pos] = 0;
+        this.timestamps[pos] = 0;
+        this.bytes -= this.sizes[pos];
+        this.sizes[pos] = 0;
+      }
+    }
+  }
+
+  // Runs fn in its own async context: entries logged inside go to a small
+  // per-context ring (needs the `contexts` option)
+  runInContext(fn) {
+    if (this.contexts === null) throw new Error('runInContext() needs the contexts option');
+    return this.contexts.run(fn);
+  }
+
+  // Runs fn with a trace context (a traceparent header or { traceId, spanId });
+  // entries logged inside carry its ids
+  runWithTrace(context, fn) {
+    return runWithTrace(context, fn);
+  }
+
+  // Writes a list of entries as one flush; used by request-scoped contexts
+  _writeEvents(reason, events, incident = null) {
+    const flushId = this.flushId++;
+    const flushedAt = this._fastTimestamp();
+    const header = incidentHeader(incident);
+
     try {
-      if (!fs.existsSync(this.logDir)) {
-        fs.mkdirSync(this.logDir, { recursive: true });
+      if (this.flushQueue !== null) {
+        this.flushQueue.push(() => this._writeAsync(reason, flushId, flushedAt, events, header));
+      } else {
+        this._write(reason, flushId, flushedAt, events, header);
       }
     } catch (err) {
-      console.error('Failed to create log directory:', err.message);
+      reportFlushError(this, reason, flushId, err);
     }
   }
 
-  getCurrentBuffer() {
-    return this._ultraSnapshot();
+  // The newest entries of the global ring, oldest first, copied out of the pool
+  _recentEntries(count) {
+    if (count === 0) return [];
+    const events = this._ultraSnapshot().slice(-count);
+    for (let i = 0; i < events.length; i++) {
+      const e = events[i];
+      events[i] = { ts: e.ts, flushId: e.flushId, event: e.event, level: e.level, data: e.data, bindings: e.bindings, traceId: e.traceId, spanId: e.spanId, incidentId: e.incidentId };
+    }
+    return events;
   }
 
   getStats() {
     return {
+      implementation: 'bit',
       capacity: this.capacity,
+      runId: this.runId,
       currentIndex: this.index,
       flushId: this.flushId,
       errorSeen: !!this.errorSeen,
       errorLoggedAt: this.errorLoggedAt,
+      postErrorCount: this.postErrorCount,
+      incidentId: this.incidentId,
+      correlationId: this.incident !== null ? this.incident.correlationId : null,
       flushing: !!this.flushing,
-      poolSize: this.entryPool.pool.length
+      pendingFlushes: this.flushQueue !== null ? this.flushQueue.pending : 0,
+      closed: this.closed,
+      activeContexts: this.contexts !== null ? this.contexts.active : 0,
+      level: this.level,
+      triggerLevel: this.triggerLevel,
+      bytes: this.maxBytes !== null ? this.bytes : null,
+      maxBytes: this.maxBytes,
+      eventNames: this.events.size,
+      poolSize: this.entryPool.available()
     };
   }
 }
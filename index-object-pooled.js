@@ -1,10 +1,30 @@
-const fs = require('fs');
-const path = require('path');
+const EventEmitter = require('events');
+const { createTriggerPolicy } = require('./lib/triggers');
+const { LEVELS, levelOf, resolveLevel } = require('./lib/levels');
+const { ChildLogger, mergeBindings } = require('./lib/child');
+const { ContextStore } = require('./lib/context');
+const { resolveTraceContext, runWithTrace, openIncident, addIncidentTrace, incidentHeader } = require('./lib/trace');
+const { resolveConstructorArgs, resolvePostErrorWindow, resolveLimits, resolveMaxBytes, resolveMaxEventNames } = require('./lib/options');
+const { EventTable, selectEvent, countEvents } = require('./lib/intern');
+const { estimateEntrySize } = require('./lib/size');
+const { collectIncidents } = require('./lib/incidents');
+const { quote, stringify } = require('./lib/json');
+const { createSinks, writeToSinks, writeToSinksAsync } = require('./lib/sinks');
+const FlushQueue = require('./lib/flush-queue');
+const { createRunId } = require('./lib/filenames');
+const { installProcessHandlers } = require('./lib/process-handlers');
+const { captureConsole } = require('./lib/console-capture');
+const { reportWrite, reportFlushError, attachConsoleReporter } = require('./lib/events');
+const { createHttpMiddleware } = require('./lib/http');
+const { createRedactor } = require('./lib/redact');
+const {
+  isError, serializeError, encodeSpecial, limitEntryBytes,
+  truncatedItems, truncatedKeys, truncatedDepth, TRUNCATED_KEY, DEFAULT_MAX_STACK_LINES
+} = require('./lib/serialize');
 
 // Pre-allocated string constants to avoid string creation
 const PRE_ERROR_CONTEXT = 'pre-error-context';
 const POST_ERROR_CONTEXT = 'post-error-context';
-const ERROR_EVENT = 'error';
 const SCHEMA_V1 = 'v1';
 const SERIALIZATION_FAILED = '{"error":"serialization failed"}';
 
@@ -37,8 +57,11 @@ class ObjectPool {
   }
 }
 
-class RingBufferLoggerOptimized {
-  constructor(capacity = 100, logDir = './logs') {
+class RingBufferLoggerOptimized extends EventEmitter {
+  constructor(capacity = 100, logDir = './logs', options = {}) {
+    super();
+    // new Logger({ capacity, logDir, ...options }) works too
+    ({ capacity, logDir, options } = resolveConstructorArgs(capacity, logDir, options));
     // Ensure capacity is power of 2 for bit masking
     this.capacity = this._nextPowerOf2(capacity);
     this.capacityMask = this.capacity - 1; // For fast modulo using bitwise AND
@@ -46,7 +69,12 @@ class RingBufferLoggerOptimized {
     // Use typed arrays for better memory layout and performance
     this.buffer = new Array(this.capacity);
     this.timestamps = new Float64Array(this.capacity);  // Pre-allocated timestamp storage
-    this.eventHashes = new Uint32Array(this.capacity);  // Hash-based event comparison
+    this.eventIds = new Uint16Array(this.capacity);  // Interned event names, 0 when not interned
+    // Optional byte budget: the oldest entries are evicted until the
+    // estimated serialized size of the ring fits
+    this.maxBytes = resolveMaxBytes(options);
+    this.sizes = this.maxBytes !== null ? new Float64Array(this.capacity) : null;
+    this.bytes = 0;
 
     this.index = 0;
     this.flushId = 0;
@@ -55,17 +83,57 @@ class RingBufferLoggerOptimized {
     this.logDir = logDir;
     this.flushing = false;
 
-    // Pre-compute common hashes
-    this.errorHash = this._hash(ERROR_EVENT);
+    // Trigger event names are checked by interned id; predicates and levels go through match()
+    this.trigger = createTriggerPolicy(options.triggers);
+    // Capture threshold (what enters the ring) and trigger threshold (what
+    // flushes), both adjustable at runtime. The trigger threshold defaults to
+    // error unless the caller configures their own `triggers`.
+    this.level = resolveLevel(options.level, 0) || 0;
+    this.triggerLevel = resolveLevel(options.triggerLevel, options.triggers === undefined ? LEVELS.error : null, 'triggerLevel');
+    // Stack lines plus the size limits: maxDepth, maxKeys, maxArrayLength,
+    // maxStringLength and maxEntryBytes
+    this.serializeOptions = { maxStackLines: options.maxStackLines || DEFAULT_MAX_STACK_LINES, ...resolveLimits(options) };
+    // Applied to every entry's data after sanitizing, before it enters the ring
+    this.redact = createRedactor(options.redact);
+    this.bindingsJson = new WeakMap(); // child logger bindings -> JSON
+    // Event names -> small ids (lib/intern.js). Trigger names are interned
+    // first, so they always have an id and a flag in triggerIds.
+    this.events = new EventTable(resolveMaxEventNames(options));
+    for (const name of this.trigger.events) this.events.reserve(name);
+    this.triggerIds = new Uint8Array(this.events.size + 1);
+    for (const name of this.trigger.events) this.triggerIds[this.events.lookup(name)] = 1;
+
+    // Post-error window: closes after N entries or a timeout, whichever comes first
+    const postErrorWindow = resolvePostErrorWindow(options, this.capacity);
+    this.postErrorEntries = postErrorWindow.entries;
+    this.postErrorMs = postErrorWindow.ms;
+    this.postErrorCount = 0;
+    this.postErrorTimer = null;
+    this.windowCount = 0;
+    this.incidentId = 0;
+    // Correlation id and trace ids of the open incident, see lib/trace.js
+    this.incident = null;
+    // Where entries get their traceId/spanId from
+    this.traceContext = resolveTraceContext(options.traceContext);
 
     // Object pools to reduce GC pressure
     this.entryPool = new ObjectPool(
-      () => ({ ts: '', flushId: 0, event: '', data: null }),
-      (obj) => { obj.ts = ''; obj.flushId = 0; obj.event = ''; obj.data = null; }
+      () => ({ ts: '', flushId: 0, event: '', level: 0, data: null, bindings: null, traceId: null, spanId: null, incidentId: undefined }),
+      (obj) => { obj.ts = ''; obj.flushId = 0; obj.event = ''; obj.level = 0; obj.data = null; obj.bindings = null; obj.traceId = null; obj.spanId = null; obj.incidentId = undefined; }
     );
 
-    // Create log directory
-    this._ensureLogDir();
+    // Flush destinations, defaulting to files in logDir
+    this.runId = options.runId || createRunId();
+    this.sinks = createSinks(options.sinks, logDir, { ...options, runId: this.runId });
+    this.flushQueue = options.asyncFlush ? new FlushQueue() : null;
+    // Request-scoped rings for runInContext(), see lib/context.js
+    this.contexts = options.contexts ? new ContextStore(this, options.contexts) : null;
+    this.processHandlers = null;
+    this.consoleCapture = null;
+    // Status lines on the console are opt-in; see lib/events.js for the events
+    if (options.reportToConsole) attachConsoleReporter(this);
+    this.closed = false;
+    this.closing = null;
   }
 
   // Fast power of 2 calculation using bit operations
@@ -80,16 +148,6 @@ class RingBufferLoggerOptimized {
     return n + 1;
   }
 
-  // Fast string hashing (djb2 algorithm)
-  _hash(str) {
-    if (str == null) str = '';
-    let hash = 5381;
-    for (let i = 0; i < str.length; i++) {
-      hash = ((hash << 5) + hash) + str.charCodeAt(i);
-    }
-    return hash >>> 0; // Convert to unsigned 32-bit
-  }
-
   // Optimized ISO timestamp generation
   _fastISOString() {
     const now = Date.now();
@@ -107,62 +165,205 @@ class RingBufferLoggerOptimized {
     return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}T${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}:${second.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}Z`;
   }
 
-  log(event, data = {}) {
+  // Level methods: logger.warn('slow_query', data), or logger.warn(data) to
+  // use the level name as the event
+  trace(event, data) { return this._logAt('trace', event, data); }
+  debug(event, data) { return this._logAt('debug', event, data); }
+  info(event, data) { return this._logAt('info', event, data); }
+  warn(event, data) { return this._logAt('warn', event, data); }
+  error(event, data) { return this._logAt('error', event, data); }
+  fatal(event, data) { return this._logAt('fatal', event, data); }
+
+  _logAt(name, event, data) {
+    if (typeof event === 'string') return this.log(event, data, LEVELS[name]);
+    return this.log(name, event, LEVELS[name]);
+  }
+
+  // Entries below this level are dropped unless they trigger; null captures everything
+  setLevel(level) {
+    this.level = resolveLevel(level, 0) || 0;
+    return this;
+  }
+
+  // Entries at or above this level trigger a flush; null turns level triggers off
+  setTriggerLevel(level) {
+    this.triggerLevel = resolveLevel(level, null, 'triggerLevel');
+    return this;
+  }
+
+  // Logger writing into this ring with `bindings` attached to every entry
+  child(bindings) {
+    return this._child(null, bindings);
+  }
+
+  _child(parentBindings, bindings) {
+    return new ChildLogger(this, mergeBindings(parentBindings, bindings, (data) => this._fastSanitize(data, Infinity)));
+  }
+
+  // bindings and canTrigger are internal: used by child loggers and console capture
+  log(event, data = {}, level, bindings = null, canTrigger = true) {
+    // Late entries (a request finishing during shutdown) are dropped, not thrown
+    if (this.closed) {
+      if (this.listenerCount('drop') !== 0) {
+        this.emit('drop', { reason: 'closed', event, level: level === undefined ? levelOf(event, data) : resolveLevel(level) });
+      }
+      return;
+    }
+
+    const eventId = this.events.lookup(event);
+    const severity = level === undefined ? levelOf(event, data) : resolveLevel(level);
+    // Trigger policies only get an explicit level, so without one a minLevel
+    // policy still reads a numeric data.level
+    const policyLevel = level === undefined ? undefined : severity;
+
+    // Trigger names are matched by id, exact by construction
+    const isTrigger = canTrigger && this._isTrigger(eventId, event, data, severity, policyLevel);
+    // Below the capture threshold: dropped before sanitizing, unless it triggers
+    if (severity < this.level && !isTrigger) {
+      if (this.listenerCount('drop') !== 0) this.emit('drop', { reason: 'level', event, level: severity });
+      return;
+    }
+
+    // Active trace context: a runWithTrace() header or the traceContext option
+    const traceContext = this.traceContext();
+    const traceId = traceContext ? traceContext.traceId : null;
+    const spanId = traceContext && traceContext.spanId !== undefined ? traceContext.spanId : null;
+
+    if (this.contexts !== null) {
+      const scope = this.contexts.current();
+      if (scope !== undefined) {
+        // Context rings keep their own entries, so these aren't pooled
+        const scoped = {
+          ts: this._fastISOString(), flushId: this.flushId, event, level: severity,
+          data: this._fastSanitize(data), bindings, traceId, spanId, incidentId: undefined
+        };
+        this.contexts.record(scope, scoped, isTrigger);
+        return;
+      }
+    }
+
     const currentTime = Date.now();
-    const eventHash = this._hash(event);
 
     // Get object from pool instead of creating new one
     const entry = this.entryPool.get();
     entry.ts = this._fastISOString();
     entry.flushId = this.flushId;
     entry.event = event;
+    entry.level = severity;
     entry.data = this._fastSanitize(data);
+    entry.bindings = bindings; // shared with every entry of the same child logger
+    entry.traceId = traceId;
+    entry.spanId = spanId;
 
     // Store in buffer
-    this.buffer[this.index] = entry;
-    this.timestamps[this.index] = currentTime;
-    this.eventHashes[this.index] = eventHash;
+    const idx = this.index;
+    this.buffer[idx] = entry;
+    this.timestamps[idx] = currentTime;
+    // Interned once stored, so dropped entries don't use up the table
+    this.eventIds[idx] = eventId !== 0 ? eventId : this.events.intern(event);
+
+    // Use bit masking instead of modulo for 2x performance; advance before
+    // any flush so the snapshot ends with this entry
+    this.index = (idx + 1) & this.capacityMask;
+    if (this.index === 0) this.emit('wrap', { capacity: this.capacity, flushId: this.flushId });
+    if (this.maxBytes !== null) this._fitBudget(idx, entry);
+
+    if (isTrigger) {
+      entry.incidentId = ++this.incidentId;
+      if (this.incident === null) this.incident = openIncident();
+      addIncidentTrace(this.incident, entry.traceId);
+      this.emit('trigger', {
+        event, level: severity, incidentId: entry.incidentId,
+        correlationId: this.incident.correlationId, traceId: entry.traceId || null
+      });
+    }
 
-    // Fast error detection using hash comparison
-    if (eventHash === this.errorHash && !this.errorSeen) {
+    if (this.errorSeen) {
+      this.windowCount++;
+      if (isTrigger) {
+        // Overlapping incident extends the open window
+        this._startPostErrorWindow();
+      } else {
+        this.postErrorCount++;
+      }
+    } else if (isTrigger) {
       this._flush(PRE_ERROR_CONTEXT);
       this.flushId++;
       this.errorSeen = true;
-      this.errorLoggedAt = this.index;
+      this.errorLoggedAt = idx;
+      this.windowCount = 0;
+      this._startPostErrorWindow();
     }
 
-    // Use bit masking instead of modulo for 2x performance
-    this.index = (this.index + 1) & this.capacityMask;
+    // Check if the post-error window is full, or the ring is about to overwrite it
+    if (this.errorSeen) {
+      if (this.postErrorCount >= this.postErrorEntries) {
+        this._flushPostError();
+      } else if (this.windowCount >= this.capacity) {
+        this._flush(POST_ERROR_CONTEXT);
+        this.flushId++;
+        this.windowCount = 0;
+      }
+    }
+  }
 
-    // Check if we've cycled back to error position
-    if (this.errorSeen && this.index === this.errorLoggedAt) {
-      this._flush(POST_ERROR_CONTEXT);
-      this.flushId++;
-      this.errorSeen = false;
-      this.errorLoggedAt = null;
+  _startPostErrorWindow() {
+    this.postErrorCount = 0;
+    clearTimeout(this.postErrorTimer);
+    if (this.postErrorMs !== null) {
+      this.postErrorTimer = setTimeout(() => this._flushPostError(), this.postErrorMs);
+      this.postErrorTimer.unref();
     }
   }
 
+  _flushPostError() {
+    if (!this.errorSeen) return;
+    clearTimeout(this.postErrorTimer);
+    this.postErrorTimer = null;
+
+    this._flush(POST_ERROR_CONTEXT);
+    this.flushId++;
+    this.errorSeen = false;
+    this.incident = null;
+    this.errorLoggedAt = null;
+    this.postErrorCount = 0;
+    this.windowCount = 0;
+  }
+
+  _isTrigger(eventId, event, data, level, policyLevel) {
+    if (this.triggerIds[eventId] === 1) return true;
+    if (this.triggerLevel !== null && level >= this.triggerLevel) return true;
+    return this.trigger.match !== null && this.trigger.match(event, data, policyLevel);
+  }
+
   // Optimized sanitization with minimal object creation
-  _fastSanitize(data) {
+  _fastSanitize(data, maxEntryBytes = this.serializeOptions.maxEntryBytes) {
     if (data === null || data === undefined) return {};
-    if (typeof data !== 'object') return data;
 
     try {
-      // Use a custom replacer for faster serialization
+      // Primitives go through _fastClone too, so BigInts are tagged and the
+      // string and entry size limits apply
       const seen = new Set();
       const result = this._fastClone(data, seen);
-      return result;
+      // A top-level function or symbol has no JSON form; the original fails on it too
+      if (typeof result === 'function' || typeof result === 'symbol') return { error: 'serialization failed' };
+      const redacted = this.redact === null ? result : this.redact(result);
+      return limitEntryBytes(redacted, maxEntryBytes);
     } catch {
       return { error: 'serialization failed' };
     }
   }
 
-  // Fast deep clone with cycle detection and string truncation
-  _fastClone(obj, seen = new Set()) {
+  // Fast deep clone with cycle detection and the size limits
+  _fastClone(obj, seen = new Set(), depth = 1) {
+    const limits = this.serializeOptions;
+
     if (obj === null || typeof obj !== 'object') {
-      if (typeof obj === 'string' && obj.length > 1000) {
-        return obj.slice(0, 1000) + '...';
+      if (typeof obj === 'string' && obj.length > limits.maxStringLength) {
+        return obj.slice(0, limits.maxStringLength) + '...';
+      }
+      if (typeof obj === 'bigint') {
+        return encodeSpecial(obj);
       }
       return obj;
     }
@@ -171,21 +372,58 @@ class RingBufferLoggerOptimized {
       return { error: 'circular reference' };
     }
 
+    // Like JSON.stringify, log what toJSON() returns (URLs, classes that
+    // define it) before any limit; Dates and Buffers get their own tags
+    if (typeof obj.toJSON === 'function' && !(obj instanceof Date) && !Buffer.isBuffer(obj)) {
+      seen.add(obj);
+      const result = this._fastClone(obj.toJSON(), seen, depth);
+      seen.delete(obj);
+      return result;
+    }
+
+    if (depth > limits.maxDepth) {
+      return truncatedDepth(obj);
+    }
+
+    const cloneChild = (value) => this._fastClone(value, seen, depth + 1);
+
+    // Errors keep name, message, stack, code, props, nested errors and causes
+    if (isError(obj)) {
+      return serializeError(obj, cloneChild, limits, seen);
+    }
+
     seen.add(obj);
 
+    // Map, Set, Date, Buffer and typed arrays get tagged representations
+    const special = encodeSpecial(obj, cloneChild, limits);
+    if (special !== undefined) {
+      seen.delete(obj);
+      return special;
+    }
+
     if (Array.isArray(obj)) {
-      const result = new Array(obj.length);
-      for (let i = 0; i < obj.length; i++) {
-        result[i] = this._fastClone(obj[i], seen);
+      const length = Math.min(obj.length, limits.maxArrayLength);
+      const result = new Array(length);
+      for (let i = 0; i < length; i++) {
+        result[i] = this._fastClone(obj[i], seen, depth + 1);
+      }
+      if (obj.length > length) {
+        result.push(truncatedItems(obj.length - length));
       }
       seen.delete(obj);
       return result;
     }
 
     const result = {};
+    let keyCount = 0;
     for (const key in obj) {
-      if (obj.hasOwnProperty(key)) {
-        result[key] = this._fastClone(obj[key], seen);
+      if (Object.prototype.hasOwnProperty.call(obj, key)) {
+        if (keyCount === limits.maxKeys) {
+          result[TRUNCATED_KEY] = truncatedKeys(Object.keys(obj).length - keyCount);
+          break;
+        }
+        result[key] = this._fastClone(obj[key], seen, depth + 1);
+        keyCount++;
       }
     }
 
@@ -193,54 +431,107 @@ class RingBufferLoggerOptimized {
     return result;
   }
 
-  _flush(reason) {
+  _flush(reason, sync = false, clear = true) {
     if (this.flushing) return;
     this.flushing = true;
 
     try {
       const events = this._fastSnapshot();
-      const filename = path.join(this.logDir, `log-${reason}-${this.flushId}.json`);
-
-      // Manual JSON construction for better performance
-      const jsonParts = [
-        '{"schema":"', SCHEMA_V1, '","reason":"', reason,
-        '","flushId":', this.flushId.toString(),
-        ',"flushedAt":"', this._fastISOString(), '","events":['
-      ];
-
-      // Manually serialize events array
-      for (let i = 0; i < events.length; i++) {
-        if (i > 0) jsonParts.push(',');
-        jsonParts.push(this._fastSerializeEvent(events[i]));
+      const flushId = this.flushId;
+      const flushedAt = this._fastISOString();
+      const header = incidentHeader(this.incident);
+
+      if (this.flushQueue !== null && !sync) {
+        // Pooled entries are recycled by _clear(), so queue copies
+        const detached = new Array(events.length);
+        for (let i = 0; i < events.length; i++) {
+          const e = events[i];
+          detached[i] = { ts: e.ts, flushId: e.flushId, event: e.event, level: e.level, data: e.data, bindings: e.bindings, traceId: e.traceId, spanId: e.spanId, incidentId: e.incidentId };
+        }
+        this.flushQueue.push(() => this._writeAsync(reason, flushId, flushedAt, detached, header));
+      } else {
+        this._write(reason, flushId, flushedAt, events, header);
       }
+    } catch (err) {
+      reportFlushError(this, reason, this.flushId, err);
+    } finally {
+      this.flushing = false;
+      if (clear) this._clear();
+    }
+  }
 
-      jsonParts.push(']}');
-      const json = jsonParts.join('');
+  _serialize(reason, flushId, flushedAt, events, header) {
+    // Manual JSON construction for better performance; strings that may hold
+    // user text go through quote()
+    const jsonParts = [
+      '{"schema":"', SCHEMA_V1, '","reason":', quote(reason),
+      ',"flushId":', flushId.toString(),
+      ',"flushedAt":"', flushedAt,
+      '","correlationId":', stringify(header.correlationId),
+      ',"traceIds":', JSON.stringify(header.traceIds), ',"incidents":', JSON.stringify(collectIncidents(events)), ',"events":['
+    ];
 
-      // Synchronous I/O for consistency (can be optimized further with async)
-      const fd = fs.openSync(filename, 'w');
-      fs.writeSync(fd, json);
-      fs.fsyncSync(fd);
-      fs.closeSync(fd);
+    // Manually serialize events array
+    for (let i = 0; i < events.length; i++) {
+      if (i > 0) jsonParts.push(',');
+      jsonParts.push(this._fastSerializeEvent(events[i]));
+    }
 
-      console.log(`Flushed ${reason} (${this.flushId}) -> ${filename}`);
+    jsonParts.push(']}');
+    return jsonParts.join('');
+  }
+
+  _write(reason, flushId, flushedAt, events, header) {
+    const start = process.hrtime.bigint();
+    const json = this._serialize(reason, flushId, flushedAt, events, header);
+    const record = { reason, flushId, flushedAt, eventCount: events.length, json };
+    this._reportWrite(record, writeToSinks(this.sinks, record), start);
+  }
+
+  async _writeAsync(reason, flushId, flushedAt, events, header) {
+    const start = process.hrtime.bigint();
+    try {
+      const json = this._serialize(reason, flushId, flushedAt, events, header);
+      const record = { reason, flushId, flushedAt, eventCount: events.length, json };
+      this._reportWrite(record, await writeToSinksAsync(this.sinks, record), start);
     } catch (err) {
-      console.error('Flush failed:', err);
-    } finally {
-      this.flushing = false;
-      this._clear();
+      reportFlushError(this, reason, flushId, err);
     }
   }
 
+  _reportWrite(record, result, start) {
+    reportWrite(this, record, result, start);
+  }
+
+  // Resolves once every queued asynchronous flush has been written
+  get flushed() {
+    return this.flushQueue !== null ? this.flushQueue.idle : Promise.resolve();
+  }
+
   // Fast event serialization
   _fastSerializeEvent(event) {
     const parts = [
       '{"ts":"', event.ts, '","flushId":', event.flushId.toString(),
-      ',"event":"', event.event, '","data":', JSON.stringify(event.data), '}'
+      ',"event":', quote(event.event), ',"level":', event.level, ',"data":', stringify(event.data),
+      event.bindings !== null ? ',"bindings":' + this._bindingsJson(event.bindings) : '',
+      event.traceId !== null ? ',"traceId":' + quote(event.traceId) : '',
+      event.spanId !== null ? ',"spanId":' + quote(event.spanId) : '',
+      event.incidentId !== undefined ? ',"incidentId":' + event.incidentId : '', '}'
     ];
     return parts.join('');
   }
 
+  // Bindings are shared by every entry of a child logger, so their JSON is
+  // built once per child
+  _bindingsJson(bindings) {
+    let json = this.bindingsJson.get(bindings);
+    if (json === undefined) {
+      json = JSON.stringify(bindings);
+      this.bindingsJson.set(bindings, json);
+    }
+    return json;
+  }
+
   // Optimized snapshot with minimal array operations
   _fastSnapshot() {
     const out = [];
@@ -271,32 +562,166 @@ class RingBufferLoggerOptimized {
 
     // Fast array clearing using fill
     this.timestamps.fill(0);
-    this.eventHashes.fill(0);
+    this.eventIds.fill(0);
+    if (this.sizes !== null) {
+      this.sizes.fill(0);
+      this.bytes = 0;
+    }
+  }
+
+  // Operator-initiated dump; resolves once written (immediately unless asyncFlush)
+  flush(reason = 'manual', { clear = true, sync = false } = {}) {
+    this._flush(reason, sync, clear);
+    this.flushId++;
+    if (clear) this.windowCount = 0;
+    return this.flushed;
+  }
+
+  // Flushes an open post-error window, drains queued writes and stops accepting logs
+  close() {
+    if (this.closing === null) {
+      this.closed = true;
+      this._flushPostError();
+      this.removeProcessHandlers();
+      this.releaseConsole();
+      this.closing = this.flushed;
+    }
+    return this.closing;
+  }
+
+  // Opt-in: flush on uncaught exceptions, unhandled rejections and shutdown signals
+  installProcessHandlers(options) {
+    if (this.processHandlers === null) {
+      this.processHandlers = installProcessHandlers(this, options);
+    }
+    return this;
+  }
+
+  removeProcessHandlers() {
+    if (this.processHandlers !== null) {
+      this.processHandlers();
+      this.processHandlers = null;
+    }
+    return this;
+  }
+
+  // Opt-in: also log console output as `console` entries
+  captureConsole(options) {
+    if (this.consoleCapture === null) {
+      this.consoleCapture = captureConsole(this, options);
+    }
+    return this;
+  }
+
+  releaseConsole() {
+    if (this.consoleCapture !== null) {
+      this.consoleCapture();
+      this.consoleCapture = null;
+    }
+    return this;
+  }
+
+  // Request logging middleware for http servers and connect-style frameworks
+  middleware(options) {
+    return createHttpMiddleware(this, options);
+  }
+
+  // Entries in the ring, oldest first; only those of one event when given
+  getCurrentBuffer(event) {
+    if (event === undefined) return this._fastSnapshot();
+    return selectEvent(this.events, this.eventIds, this.buffer, this.index, event);
+  }
+
+  // Number of entries in the ring per event name
+  getEventCounts() {
+    return countEvents(this.events, this.eventIds, this.buffer);
+  }
+
+  // Keeps the estimated size of the ring within maxBytes by evicting the
+  // oldest entries; the entry just written always stays, even if it alone
+  // is over budget
+  _fitBudget(idx, entry) {
+    const size = estimateEntrySize(entry.event, entry.data);
+    this.bytes += size - this.sizes[idx];
+    this.sizes[idx] = size;
+
+    for (let pos = this.index; this.bytes > this.maxBytes && pos !== idx; pos = (pos + 1) & this.capacityMask) {
+      if (this.buffer[pos]) {
+        const evicted = this.buffer[pos];
+        this.emit('drop', { reason: 'budget', event: evicted.event, level: evicted.level });
+        this.entryPool.release(this.buffer[pos]);
+        this.buffer[pos] = null;
+        this.timestamps[pos] = 0;
+        this.eventIds[pos] = 0;
+        this.bytes -= this.sizes[pos];
+        this.sizes[pos] = 0;
+      }
+    }
   }
 
-  _ensureLogDir() {
+  // Runs fn in its own async context: entries logged inside go to a small
+  // per-context ring (needs the `contexts` option)
+  runInContext(fn) {
+    if (this.contexts === null) throw new Error('runInContext() needs the contexts option');
+    return this.contexts.run(fn);
+  }
+
+  // Runs fn with a trace context (a traceparent header or { traceId, spanId });
+  // entries logged inside carry its ids
+  runWithTrace(context, fn) {
+    return runWithTrace(context, fn);
+  }
+
+  // Writes a list of entries as one flush; used by request-scoped contexts
+  _writeEvents(reason, events, incident = null) {
+    const flushId = this.flushId++;
+    const flushedAt = this._fastISOString();
+    const header = incidentHeader(incident);
+
     try {
-      if (!fs.existsSync(this.logDir)) {
-        fs.mkdirSync(this.logDir, { recursive: true });
+      if (this.flushQueue !== null) {
+        this.flushQueue.push(() => this._writeAsync(reason, flushId, flushedAt, events, header));
+      } else {
+        this._write(reason, flushId, flushedAt, events, header);
       }
     } catch (err) {
-      console.error('Failed to create log directory:', err.message);
+      reportFlushError(this, reason, flushId, err);
     }
   }
 
-  getCurrentBuffer() {
-    return this._fastSnapshot();
+  // The newest entries of the global ring, oldest first, copied out of the pool
+  _recentEntries(count) {
+    if (count === 0) return [];
+    const events = this._fastSnapshot().slice(-count);
+    for (let i = 0; i < events.length; i++) {
+      const e = events[i];
+      events[i] = { ts: e.ts, flushId: e.flushId, event: e.event, level: e.level, data: e.data, bindings: e.bindings, traceId: e.traceId, spanId: e.spanId, incidentId: e.incidentId };
+    }
+    return events;
   }
 
   getStats() {
     return {
+      implementation: 'pooled',
       capacity: this.capacity,
+      runId: this.runId,
       currentIndex: this.index,
       flushId: this.flushId,
       errorSeen: this.errorSeen,
       errorLoggedAt: this.errorLoggedAt,
+      postErrorCount: this.postErrorCount,
+      incidentId: this.incidentId,
+      correlationId: this.incident !== null ? this.incident.correlationId : null,
       flushing: this.flushing,
-      objectPoolSize: this.entryPool.index
+      pendingFlushes: this.flushQueue !== null ? this.flushQueue.pending : 0,
+      closed: this.closed,
+      activeContexts: this.contexts !== null ? this.contexts.active : 0,
+      level: this.level,
+      triggerLevel: this.triggerLevel,
+      bytes: this.maxBytes !== null ? this.bytes : null,
+      maxBytes: this.maxBytes,
+      eventNames: this.events.size,
+      poolSize: this.entryPool.index
     };
   }
 }
@@ -1,83 +1,300 @@
-const fs = require('fs');
-const path = require('path');
+const EventEmitter = require('events');
+const { createTriggerPolicy } = require('./lib/triggers');
+const { LEVELS, levelOf, resolveLevel } = require('./lib/levels');
+const { ChildLogger, mergeBindings } = require('./lib/child');
+const { ContextStore } = require('./lib/context');
+const { resolveTraceContext, runWithTrace, openIncident, addIncidentTrace, incidentHeader } = require('./lib/trace');
+const { resolveConstructorArgs, resolvePostErrorWindow, resolveLimits, resolveMaxBytes, resolveMaxEventNames } = require('./lib/options');
+const { estimateEntrySize } = require('./lib/size');
+const { collectIncidents } = require('./lib/incidents');
+const { createSinks, writeToSinks, writeToSinksAsync } = require('./lib/sinks');
+const FlushQueue = require('./lib/flush-queue');
+const { createRunId } = require('./lib/filenames');
+const { installProcessHandlers } = require('./lib/process-handlers');
+const { captureConsole } = require('./lib/console-capture');
+const { reportWrite, reportFlushError, attachConsoleReporter } = require('./lib/events');
+const { createHttpMiddleware } = require('./lib/http');
+const { createRedactor } = require('./lib/redact');
+const { createJsonReplacer, limitEntryBytes, DEFAULT_MAX_STACK_LINES } = require('./lib/serialize');
 
-class RingBufferLogger {
-  constructor(capacity = 100, logDir = './logs') {
+class RingBufferLogger extends EventEmitter {
+  constructor(capacity = 100, logDir = './logs', options = {}) {
+    super();
+    // new Logger({ capacity, logDir, ...options }) works too
+    ({ capacity, logDir, options } = resolveConstructorArgs(capacity, logDir, options));
     this.capacity = capacity;
     this.buffer = new Array(capacity);
     this.index = 0;
+    // Optional byte budget: the oldest entries are evicted until the
+    // estimated serialized size of the ring fits
+    this.maxBytes = resolveMaxBytes(options);
+    this.sizes = this.maxBytes !== null ? new Array(capacity).fill(0) : null;
+    this.bytes = 0;
+    // Event names are compared as strings here; the option is only validated
+    // so the same options work with every implementation
+    resolveMaxEventNames(options);
 
     this.flushId = 0;
     this.errorSeen = false;
     this.errorLoggedAt = null;
     this.logDir = logDir;
     this.flushing = false;
+    this.trigger = createTriggerPolicy(options.triggers);
+    // Capture threshold (what enters the ring) and trigger threshold (what
+    // flushes), both adjustable at runtime. The trigger threshold defaults to
+    // error unless the caller configures their own `triggers`.
+    this.level = resolveLevel(options.level, 0) || 0;
+    this.triggerLevel = resolveLevel(options.triggerLevel, options.triggers === undefined ? LEVELS.error : null, 'triggerLevel');
+    // Stack lines plus the size limits: maxDepth, maxKeys, maxArrayLength,
+    // maxStringLength and maxEntryBytes
+    this.serializeOptions = { maxStackLines: options.maxStackLines || DEFAULT_MAX_STACK_LINES, ...resolveLimits(options) };
+    // Applied to every entry's data after sanitizing, before it enters the ring
+    this.redact = createRedactor(options.redact);
 
-    if (!fs.existsSync(logDir)) {
-      try {
-        fs.mkdirSync(logDir, { recursive: true });
-      } catch (err) {
-        console.error('Failed to create log directory:', err.message);
-        // Continue operation without the directory - flushes will fail gracefully
+    const postErrorWindow = resolvePostErrorWindow(options, capacity);
+    this.postErrorEntries = postErrorWindow.entries;
+    this.postErrorMs = postErrorWindow.ms;
+    this.postErrorCount = 0;
+    this.postErrorTimer = null;
+    this.windowCount = 0;
+    this.incidentId = 0;
+    // Correlation id and trace ids of the open incident, see lib/trace.js
+    this.incident = null;
+    // Where entries get their traceId/spanId from
+    this.traceContext = resolveTraceContext(options.traceContext);
+
+    // Defaults to a file sink writing log-<reason>-<flushId>.json into logDir;
+    // the run id is available to filename templates as {runId}
+    this.runId = options.runId || createRunId();
+    this.sinks = createSinks(options.sinks, logDir, { ...options, runId: this.runId });
+    // asyncFlush: snapshot on the log() call, serialize and write later in order
+    this.flushQueue = options.asyncFlush ? new FlushQueue() : null;
+    // Request-scoped rings for runInContext(), see lib/context.js
+    this.contexts = options.contexts ? new ContextStore(this, options.contexts) : null;
+    this.processHandlers = null;
+    this.consoleCapture = null;
+    // Status lines on the console are opt-in; see lib/events.js for the events
+    if (options.reportToConsole) attachConsoleReporter(this);
+    this.closed = false;
+    this.closing = null;
+  }
+
+  // Level methods: logger.warn('slow_query', data), or logger.warn(data) to
+  // use the level name as the event
+  trace(event, data) { return this._logAt('trace', event, data); }
+  debug(event, data) { return this._logAt('debug', event, data); }
+  info(event, data) { return this._logAt('info', event, data); }
+  warn(event, data) { return this._logAt('warn', event, data); }
+  error(event, data) { return this._logAt('error', event, data); }
+  fatal(event, data) { return this._logAt('fatal', event, data); }
+
+  _logAt(name, event, data) {
+    if (typeof event === 'string') return this.log(event, data, LEVELS[name]);
+    return this.log(name, event, LEVELS[name]);
+  }
+
+  // Entries below this level are dropped unless they trigger; null captures everything
+  setLevel(level) {
+    this.level = resolveLevel(level, 0) || 0;
+    return this;
+  }
+
+  // Entries at or above this level trigger a flush; null turns level triggers off
+  setTriggerLevel(level) {
+    this.triggerLevel = resolveLevel(level, null, 'triggerLevel');
+    return this;
+  }
+
+  // Logger writing into this ring with `bindings` attached to every entry
+  child(bindings) {
+    return this._child(null, bindings);
+  }
+
+  _child(parentBindings, bindings) {
+    return new ChildLogger(this, mergeBindings(parentBindings, bindings, (data) => this._sanitize(data, Infinity)));
+  }
+
+  // bindings and canTrigger are internal: used by child loggers and console capture
+  log(event, data = {}, level, bindings = null, canTrigger = true) {
+    // Late entries (a request finishing during shutdown) are dropped, not thrown
+    if (this.closed) {
+      if (this.listenerCount('drop') !== 0) {
+        this.emit('drop', { reason: 'closed', event, level: level === undefined ? levelOf(event, data) : resolveLevel(level) });
       }
+      return;
+    }
+
+    const severity = level === undefined ? levelOf(event, data) : resolveLevel(level);
+    // Trigger policies only get an explicit level, so without one a minLevel
+    // policy still reads a numeric data.level
+    const policyLevel = level === undefined ? undefined : severity;
+    const isTrigger = canTrigger && (this.trigger.test(event, data, policyLevel) ||
+      (this.triggerLevel !== null && severity >= this.triggerLevel));
+    // Below the capture threshold: dropped before sanitizing, unless it triggers
+    if (severity < this.level && !isTrigger) {
+      if (this.listenerCount('drop') !== 0) this.emit('drop', { reason: 'level', event, level: severity });
+      return;
     }
-  }
 
-  log(event, data = {}) {
     const entry = {
       ts: new Date().toISOString(),
       flushId: this.flushId,
       event,
+      level: severity,
       data: this._sanitize(data)
     };
+    // Child loggers share one bindings object across all their entries
+    if (bindings !== null) entry.bindings = bindings;
+    // Active trace context: a runWithTrace() header or the traceContext option
+    const traceContext = this.traceContext();
+    if (traceContext) {
+      entry.traceId = traceContext.traceId;
+      if (traceContext.spanId !== undefined) entry.spanId = traceContext.spanId;
+    }
 
-    this.buffer[this.index] = entry;
+    // Inside runInContext() the entry belongs to that context's ring
+    if (this.contexts !== null) {
+      const scope = this.contexts.current();
+      if (scope !== undefined) {
+        this.contexts.record(scope, entry, isTrigger);
+        return;
+      }
+    }
+
+    const idx = this.index;
+    this.buffer[idx] = entry;
+    // Advance before any flush so the snapshot ends with this entry
+    this.index = (idx + 1) % this.capacity;
+    if (this.index === 0) this.emit('wrap', { capacity: this.capacity, flushId: this.flushId });
+    if (this.maxBytes !== null) this._fitBudget(idx, entry);
+
+    if (isTrigger) {
+      entry.incidentId = ++this.incidentId;
+      if (this.incident === null) this.incident = openIncident();
+      addIncidentTrace(this.incident, entry.traceId);
+      this.emit('trigger', {
+        event, level: severity, incidentId: entry.incidentId,
+        correlationId: this.incident.correlationId, traceId: entry.traceId || null
+      });
+    }
 
-    if (event === 'error' && !this.errorSeen) {
+    if (this.errorSeen) {
+      this.windowCount++;
+      if (isTrigger) {
+        // Overlapping incident: extend the open window from this entry
+        this._startPostErrorWindow();
+      } else {
+        this.postErrorCount++;
+      }
+    } else if (isTrigger) {
       this._flush('pre-error-context');
       this.flushId++;
       this.errorSeen = true;
-      this.errorLoggedAt = this.index;
+      this.errorLoggedAt = idx;
+      this.windowCount = 0;
+      this._startPostErrorWindow();
     }
 
-    this.index = (this.index + 1) % this.capacity;
+    if (this.errorSeen) {
+      if (this.postErrorCount >= this.postErrorEntries) {
+        this._flushPostError();
+      } else if (this.windowCount >= this.capacity) {
+        // An extended window has filled the ring: chain into another file
+        // instead of overwriting entries that were never written out
+        this._flush('post-error-context');
+        this.flushId++;
+        this.windowCount = 0;
+      }
+    }
+  }
 
-    if (this.errorSeen && this.index === this.errorLoggedAt) {
-      this._flush('post-error-context');
-      this.flushId++;
-      this.errorSeen = false;
-      this.errorLoggedAt = null;
+  _startPostErrorWindow() {
+    this.postErrorCount = 0;
+    clearTimeout(this.postErrorTimer);
+    if (this.postErrorMs !== null) {
+      // Timer-driven flush for when traffic stops; unref'd so it never keeps the process alive
+      this.postErrorTimer = setTimeout(() => this._flushPostError(), this.postErrorMs);
+      this.postErrorTimer.unref();
     }
   }
 
-  _flush(reason) {
+  _flushPostError() {
+    if (!this.errorSeen) return;
+    clearTimeout(this.postErrorTimer);
+    this.postErrorTimer = null;
+
+    this._flush('post-error-context');
+    this.flushId++;
+    this.errorSeen = false;
+    this.incident = null;
+    this.errorLoggedAt = null;
+    this.postErrorCount = 0;
+    this.windowCount = 0;
+  }
+
+  _flush(reason, sync = false, clear = true) {
     if (this.flushing) return;
     this.flushing = true;
 
     try {
       const events = this._snapshot();
-      const filename = path.join(this.logDir, `log-${reason}-${this.flushId}.json`);
-      const json = JSON.stringify({
-        schema: 'v1',
-        reason,
-        flushId: this.flushId,
-        flushedAt: new Date().toISOString(),
-        events
-      }, null, 2);
-
-      const fd = fs.openSync(filename, 'w');
-      fs.writeSync(fd, json);
-      fs.fsyncSync(fd);
-      fs.closeSync(fd);
-      console.log(`Flushed ${reason} (${this.flushId}) -> ${filename}`);
+      const flushId = this.flushId;
+      const flushedAt = new Date().toISOString();
+      const header = incidentHeader(this.incident);
+
+      if (this.flushQueue !== null && !sync) {
+        this.flushQueue.push(() => this._writeAsync(reason, flushId, flushedAt, events, header));
+      } else {
+        this._write(reason, flushId, flushedAt, events, header);
+      }
     } catch (err) {
-      console.error('Flush failed:', err);
+      reportFlushError(this, reason, this.flushId, err);
     } finally {
       this.flushing = false;
-      this._clear(); // wipe buffer after each flush
+      if (clear) this._clear(); // wipe buffer after each flush
     }
   }
 
+  _serialize(reason, flushId, flushedAt, events, header) {
+    return JSON.stringify({
+      schema: 'v1',
+      reason,
+      flushId,
+      flushedAt,
+      correlationId: header.correlationId,
+      traceIds: header.traceIds,
+      incidents: collectIncidents(events),
+      events
+    }, null, 2);
+  }
+
+  _write(reason, flushId, flushedAt, events, header) {
+    const start = process.hrtime.bigint();
+    const json = this._serialize(reason, flushId, flushedAt, events, header);
+    const record = { reason, flushId, flushedAt, eventCount: events.length, json };
+    this._reportWrite(record, writeToSinks(this.sinks, record), start);
+  }
+
+  async _writeAsync(reason, flushId, flushedAt, events, header) {
+    const start = process.hrtime.bigint();
+    try {
+      const json = this._serialize(reason, flushId, flushedAt, events, header);
+      const record = { reason, flushId, flushedAt, eventCount: events.length, json };
+      this._reportWrite(record, await writeToSinksAsync(this.sinks, record), start);
+    } catch (err) {
+      reportFlushError(this, reason, flushId, err);
+    }
+  }
+
+  _reportWrite(record, result, start) {
+    reportWrite(this, record, result, start);
+  }
+
+  // Resolves once every queued asynchronous flush has been written
+  get flushed() {
+    return this.flushQueue !== null ? this.flushQueue.idle : Promise.resolve();
+  }
+
   _snapshot() {
     const out = [];
     for (let i = 0; i < this.capacity; i++) {
@@ -88,15 +305,14 @@ class RingBufferLogger {
     return out;
   }
 
-  _sanitize(data) {
+  _sanitize(data, maxEntryBytes = this.serializeOptions.maxEntryBytes) {
     if (data === null || data === undefined) return {};
     try {
-      const json = JSON.stringify(data, (_, value) =>
-        typeof value === 'string' && value.length > 1000
-          ? value.slice(0, 1000) + '...'
-          : value
-      );
-      return JSON.parse(json);
+      // Applies the size limits, turns Errors into plain objects and tags Map, Set, Date, BigInt and binary values
+      const json = JSON.stringify(data, createJsonReplacer(this.serializeOptions));
+      const clean = JSON.parse(json);
+      const redacted = this.redact === null ? clean : this.redact(clean);
+      return limitEntryBytes(redacted, maxEntryBytes);
     } catch {
       return { error: 'serialization failed' };
     }
@@ -104,22 +320,164 @@ class RingBufferLogger {
 
   _clear() {
     this.buffer.fill(undefined);
+    if (this.sizes !== null) {
+      this.sizes.fill(0);
+      this.bytes = 0;
+    }
+  }
+
+  // Operator-initiated dump; resolves once written (immediately unless asyncFlush)
+  flush(reason = 'manual', { clear = true, sync = false } = {}) {
+    this._flush(reason, sync, clear);
+    this.flushId++;
+    if (clear) this.windowCount = 0;
+    return this.flushed;
+  }
+
+  // Flushes an open post-error window, drains queued writes and stops accepting logs
+  close() {
+    if (this.closing === null) {
+      this.closed = true;
+      this._flushPostError();
+      this.removeProcessHandlers();
+      this.releaseConsole();
+      this.closing = this.flushed;
+    }
+    return this.closing;
+  }
+
+  // Opt-in: flush on uncaught exceptions, unhandled rejections and shutdown signals
+  installProcessHandlers(options) {
+    if (this.processHandlers === null) {
+      this.processHandlers = installProcessHandlers(this, options);
+    }
+    return this;
+  }
+
+  removeProcessHandlers() {
+    if (this.processHandlers !== null) {
+      this.processHandlers();
+      this.processHandlers = null;
+    }
+    return this;
+  }
+
+  // Opt-in: also log console output as `console` entries
+  captureConsole(options) {
+    if (this.consoleCapture === null) {
+      this.consoleCapture = captureConsole(this, options);
+    }
+    return this;
+  }
+
+  releaseConsole() {
+    if (this.consoleCapture !== null) {
+      this.consoleCapture();
+      this.consoleCapture = null;
+    }
+    return this;
+  }
+
+  // Request logging middleware for http servers and connect-style frameworks
+  middleware(options) {
+    return createHttpMiddleware(this, options);
+  }
+
+  // Entries in the ring, oldest first; only those of one event when given
+  getCurrentBuffer(event) {
+    const entries = this._snapshot();
+    return event === undefined ? entries : entries.filter(e => e.event === event);
+  }
+
+  // Number of entries in the ring per event name
+  getEventCounts() {
+    const counts = Object.create(null); // any event name is a safe key
+    for (const entry of this._snapshot()) {
+      counts[entry.event] = (counts[entry.event] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Keeps the estimated size of the ring within maxBytes by evicting the
+  // oldest entries; the entry just written always stays, even if it alone
+  // is over budget
+  _fitBudget(idx, entry) {
+    const size = estimateEntrySize(entry.event, entry.data);
+    this.bytes += size - this.sizes[idx];
+    this.sizes[idx] = size;
+
+    for (let pos = this.index; this.bytes > this.maxBytes && pos !== idx; pos = (pos + 1) % this.capacity) {
+      if (this.buffer[pos]) {
+        const evicted = this.buffer[pos];
+        this.emit('drop', { reason: 'budget', event: evicted.event, level: evicted.level });
+        this.bytes -= this.sizes[pos];
+        this.sizes[pos] = 0;
+        this.buffer[pos] = undefined;
+      }
+    }
+  }
+
+  // Runs fn in its own async context: entries logged inside go to a small
+  // per-context ring (needs the `contexts` option)
+  runInContext(fn) {
+    if (this.contexts === null) throw new Error('runInContext() needs the contexts option');
+    return this.contexts.run(fn);
+  }
+
+  // Runs fn with a trace context (a traceparent header or { traceId, spanId });
+  // entries logged inside carry its ids
+  runWithTrace(context, fn) {
+    return runWithTrace(context, fn);
+  }
+
+  // Writes a list of entries as one flush; used by request-scoped contexts
+  _writeEvents(reason, events, incident = null) {
+    const flushId = this.flushId++;
+    const flushedAt = new Date().toISOString();
+    const header = incidentHeader(incident);
+
+    try {
+      if (this.flushQueue !== null) {
+        this.flushQueue.push(() => this._writeAsync(reason, flushId, flushedAt, events, header));
+      } else {
+        this._write(reason, flushId, flushedAt, events, header);
+      }
+    } catch (err) {
+      reportFlushError(this, reason, flushId, err);
+    }
   }
 
-  getCurrentBuffer() {
-    return this._snapshot();
+  // The newest entries of the global ring, oldest first
+  _recentEntries(count) {
+    return count > 0 ? this._snapshot().slice(-count) : [];
   }
 
   getStats() {
     return {
+      implementation: 'original',
       capacity: this.capacity,
+      runId: this.runId,
       currentIndex: this.index,
       flushId: this.flushId,
       errorSeen: this.errorSeen,
       errorLoggedAt: this.errorLoggedAt,
-      flushing: this.flushing
+      postErrorCount: this.postErrorCount,
+      incidentId: this.incidentId,
+      correlationId: this.incident !== null ? this.incident.correlationId : null,
+      flushing: this.flushing,
+      pendingFlushes: this.flushQueue !== null ? this.flushQueue.pending : 0,
+      closed: this.closed,
+      activeContexts: this.contexts !== null ? this.contexts.active : 0,
+      level: this.level,
+      triggerLevel: this.triggerLevel,
+      bytes: this.maxBytes !== null ? this.bytes : null,
+      maxBytes: this.maxBytes,
+      eventNames: null,
+      poolSize: null
     };
   }
 }
 
 module.exports = RingBufferLogger;
+// createLogger({ implementation, ...options }) picks one of the three, see lib/factory.js
+module.exports.createLogger = require('./lib/factory').createLogger;
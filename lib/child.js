@@ -0,0 +1,58 @@
+const { LEVELS } = require('./levels');
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Validates child() bindings, sanitizes them once with the root logger's
+// sanitizer (without maxEntryBytes, which would turn them into a string) and
+// merges them over the parent's (own keys win)
+function mergeBindings(parentBindings, bindings, sanitize) {
+  if (!isObject(bindings)) {
+    throw new TypeError('child() bindings must be an object');
+  }
+  const own = sanitize(bindings);
+  // e.g. a toJSON() that returns a string
+  if (!isObject(own)) {
+    throw new TypeError('child() bindings must serialize to an object');
+  }
+  return parentBindings === null ? own : { ...parentBindings, ...own };
+}
+
+// Lightweight logger returned by child(): writes into the root logger's ring
+// and attaches its bindings to every entry by reference, so they are stored
+// once per child instead of once per entry.
+class ChildLogger {
+  constructor(root, bindings) {
+    this.root = root;
+    this.bindings = bindings;
+  }
+
+  log(event, data = {}, level) {
+    return this.root.log(event, data, level, this.bindings);
+  }
+
+  trace(event, data) { return this._logAt('trace', event, data); }
+  debug(event, data) { return this._logAt('debug', event, data); }
+  info(event, data) { return this._logAt('info', event, data); }
+  warn(event, data) { return this._logAt('warn', event, data); }
+  error(event, data) { return this._logAt('error', event, data); }
+  fatal(event, data) { return this._logAt('fatal', event, data); }
+
+  _logAt(name, event, data) {
+    if (typeof event === 'string') return this.log(event, data, LEVELS[name]);
+    return this.log(name, event, LEVELS[name]);
+  }
+
+  child(bindings) {
+    return this.root._child(this.bindings, bindings);
+  }
+
+  flush(reason, options) {
+    return this.root.flush(reason, options);
+  }
+
+  get flushed() {
+    return this.root.flushed;
+  }
+}
+
+module.exports = { ChildLogger, mergeBindings };
@@ -0,0 +1,332 @@
+const { memorySink } = require('./sinks');
+
+// Conformance suite for ring buffer logger classes. Call it from a jest test
+// file with any class that takes (capacity, logDir, options) or an options
+// object, including third-party ones:
+//
+//   const { describeConformance } = require('./lib/conformance');
+//   describeConformance('MyLogger', MyLogger);
+//
+// Each property runs against many seeded random scenarios. Ring contents and
+// index arithmetic are checked against a model of the ring; flush output is
+// checked against the original implementation (index.js) given the same
+// actual capacity, so an implementation passes only if every flush it writes
+// matches the reference entry for entry.
+//
+// Options:
+//   runs      - random scenarios per property (default 50)
+//   seed      - first seed; a failure names the seed that reproduces it
+//   knownGaps - property names expected to fail for this class, run with
+//               test.failing so fixing one is noticed
+
+const PROPERTIES = ['ordering', 'wraparound', 'flush boundaries', 'sanitization', 'limits', 'capture'];
+const EVENTS = ['request', 'query', 'cache_miss', 'render'];
+
+// Small seeded PRNG so a failing case can be reproduced
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+function randomString(random, maxLength) {
+  const length = randomInt(random, 0, maxLength);
+  let out = '';
+  for (let i = 0; i < length; i++) out += String.fromCharCode(randomInt(random, 32, 126));
+  return out;
+}
+
+// JSON-safe values: what a flush must reproduce as is
+function randomPlain(random, depth) {
+  const kind = randomInt(random, 0, depth > 0 ? 6 : 4);
+  switch (kind) {
+  case 0: return randomInt(random, -1e6, 1e6);
+  case 1: return random() * 1000;
+  case 2: return randomString(random, 20);
+  case 3: return random() < 0.5;
+  case 4: return null;
+  case 5: return Array.from({ length: randomInt(random, 0, 4) }, () => randomPlain(random, depth - 1));
+  default: return randomObject(random, depth - 1, randomPlain);
+  }
+}
+
+// Class instances: a Point flushes its own fields, a Money what toJSON()
+// returns
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  get length() {
+    return Math.hypot(this.x, this.y);
+  }
+}
+
+class Money {
+  constructor(cents) {
+    this.cents = cents;
+  }
+
+  toJSON() {
+    return { amount: (this.cents / 100).toFixed(2), currency: 'EUR' };
+  }
+}
+
+// Anything a caller might log: special types, class instances, long
+// strings, values JSON drops or turns into null
+function randomValue(random, depth) {
+  const kind = randomInt(random, 0, 13);
+  switch (kind) {
+  case 0: return new Date(randomInt(random, 0, 2e12));
+  case 1: return BigInt(randomInt(random, -1e6, 1e6));
+  case 2: return new Map([[randomString(random, 5), randomPlain(random, 0)]]);
+  case 3: return new Set([randomPlain(random, 0), randomPlain(random, 0)]);
+  case 4: return 'x'.repeat(randomInt(random, 990, 1010));
+  case 5: return undefined;
+  case 6: return depth > 0 ? randomObject(random, depth - 1, randomValue) : null;
+  case 7: return depth > 0 ? Array.from({ length: randomInt(random, 0, 3) }, () => randomValue(random, depth - 1)) : NaN;
+  case 8: return () => {};
+  case 9: return new Point(randomInt(random, -9, 9), randomPlain(random, depth));
+  case 10: return new Money(randomInt(random, 0, 1e5));
+  case 11: return new URL(`https://example.com/${randomInt(random, 0, 99)}?q=${encodeURIComponent(randomString(random, 5))}`);
+  default: return randomPlain(random, depth);
+  }
+}
+
+// What a caller passes as an entry's data: usually an object, sometimes a
+// bare value
+function randomData(random, depth) {
+  const kind = randomInt(random, 0, 6);
+  switch (kind) {
+  case 0: return randomString(random, 40);
+  case 1: return randomInt(random, -1e6, 1e6);
+  case 2: return BigInt(randomInt(random, -1e6, 1e6));
+  case 3: return random() < 0.5;
+  case 4: return randomValue(random, depth);
+  default: return randomObject(random, depth, randomValue);
+  }
+}
+
+// Non-default size limits, each set about half the time
+function randomLimits(random) {
+  const limits = {};
+  if (random() < 0.5) limits.maxDepth = randomInt(random, 1, 4);
+  if (random() < 0.5) limits.maxKeys = randomInt(random, 1, 4);
+  if (random() < 0.5) limits.maxArrayLength = randomInt(random, 1, 4);
+  if (random() < 0.5) limits.maxStringLength = randomInt(random, 1, 30);
+  if (random() < 0.3) limits.maxEntryBytes = randomInt(random, 20, 400);
+  return limits;
+}
+
+// Sometimes without a prototype, like objects from Object.create(null) or
+// parsed query strings
+function randomObject(random, depth, valueOf) {
+  const out = random() < 0.2 ? Object.create(null) : {};
+  const keys = randomInt(random, 0, 4);
+  for (let i = 0; i < keys; i++) out[`k${randomInt(random, 0, 9)}`] = valueOf(random, depth);
+  return out;
+}
+
+// Changes every nested object and array of `value` in place
+function mutate(value) {
+  if (Array.isArray(value)) {
+    value.forEach(mutate);
+    value.push('mutated');
+  } else if (value !== null && typeof value === 'object' &&
+      (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null)) {
+    Object.values(value).forEach(mutate);
+    value.mutated = true;
+  }
+}
+
+// A flush without the parts that differ between runs (timestamps, ids)
+function normalizeFlush(flush) {
+  return {
+    reason: flush.reason,
+    flushId: flush.flushId,
+    correlated: flush.correlationId !== null,
+    traceIds: flush.traceIds,
+    incidents: flush.incidents.map(normalizeEntry),
+    events: flush.events.map(normalizeEntry)
+  };
+}
+
+function normalizeEntry(entry) {
+  const rest = { ...entry };
+  delete rest.ts;
+  // Some implementations write null trace ids, others leave them out
+  if (rest.traceId == null) delete rest.traceId;
+  if (rest.spanId == null) delete rest.spanId;
+  return rest;
+}
+
+function describeConformance(name, Logger, options = {}) {
+  const runs = options.runs || 50;
+  const firstSeed = options.seed || 1;
+  const knownGaps = new Set(options.knownGaps || []);
+  for (const gap of knownGaps) {
+    if (!PROPERTIES.includes(gap)) throw new TypeError(`Unknown conformance property: ${gap}`);
+  }
+  // Required lazily so the suite can also check the reference itself
+  const Reference = require('../index');
+
+  const create = (LoggerClass, capacity, extra = {}) => {
+    const memory = memorySink();
+    const logger = new LoggerClass({ capacity, logDir: './logs', sinks: [memory], ...extra });
+    return { logger, memory };
+  };
+
+  // Runs check(random, seed) for each seed, naming the seed on failure
+  const forAll = (check) => {
+    for (let seed = firstSeed; seed < firstSeed + runs; seed++) {
+      try {
+        check(createRandom(seed), seed);
+      } catch (err) {
+        err.message = `seed ${seed}: ${err.message}`;
+        throw err;
+      }
+    }
+  };
+
+  const property = (title, fn) => (knownGaps.has(title) ? test.failing : test)(title, fn);
+
+  describe(`${name} conformance`, () => {
+    property('ordering', () => {
+      forAll((random) => {
+        const requested = randomInt(random, 1, 17);
+        const { logger } = create(Logger, requested, { triggers: [] });
+        const capacity = logger.getStats().capacity;
+        expect(capacity).toBeGreaterThanOrEqual(requested);
+
+        const logged = [];
+        const count = randomInt(random, 0, capacity * 3);
+        for (let seq = 0; seq < count; seq++) {
+          const event = pick(random, EVENTS);
+          logger.info(event, { seq });
+          logged.push({ event, seq });
+        }
+
+        // The newest `capacity` entries, oldest first
+        const kept = logged.slice(-capacity);
+        expect(logger.getCurrentBuffer().map(e => e.data.seq)).toEqual(kept.map(e => e.seq));
+        const event = pick(random, EVENTS);
+        expect(logger.getCurrentBuffer(event).map(e => e.data.seq))
+          .toEqual(kept.filter(e => e.event === event).map(e => e.seq));
+
+        const counts = {};
+        for (const entry of kept) counts[entry.event] = (counts[entry.event] || 0) + 1;
+        expect(logger.getEventCounts()).toEqual(counts);
+      });
+    });
+
+    property('wraparound', () => {
+      forAll((random) => {
+        const { logger } = create(Logger, randomInt(random, 1, 17), { triggers: [] });
+        const capacity = logger.getStats().capacity;
+        let wraps = 0;
+        logger.on('wrap', () => wraps++);
+
+        // Around the multiples of the capacity, where off-by-ones live
+        const count = Math.max(capacity * randomInt(random, 0, 3) + randomInt(random, -1, 1), 0);
+        for (let seq = 0; seq < count; seq++) logger.info('tick', { seq });
+
+        expect(logger.getStats().currentIndex).toBe(count % capacity);
+        expect(wraps).toBe(Math.floor(count / capacity));
+        expect(logger.getCurrentBuffer()).toHaveLength(Math.min(count, capacity));
+      });
+    });
+
+    property('flush boundaries', () => {
+      forAll((random) => {
+        const extra = random() < 0.5 ? {} : { postErrorEntries: randomInt(random, 0, 20) };
+        const { logger, memory } = create(Logger, randomInt(random, 1, 12), extra);
+        const capacity = logger.getStats().capacity;
+        const reference = create(Reference, capacity, extra);
+
+        const steps = randomInt(random, 1, capacity * 6);
+        for (let seq = 0; seq < steps; seq++) {
+          const roll = random();
+          const event = pick(random, EVENTS);
+          for (const target of [logger, reference.logger]) {
+            if (roll < 0.7) target.info(event, { seq });
+            else if (roll < 0.8) target.warn('slow', { seq });
+            else if (roll < 0.9) target.error('failed', { seq });
+            else if (roll < 0.95) target.flush('manual');
+            else target.flush('snapshot', { clear: false });
+          }
+        }
+        logger.close();
+        reference.logger.close();
+
+        expect(memory.flushes.map(normalizeFlush)).toEqual(reference.memory.flushes.map(normalizeFlush));
+      });
+    });
+
+    property('sanitization', () => {
+      forAll((random) => {
+        const { logger, memory } = create(Logger, 8);
+        const reference = create(Reference, 8);
+
+        const plain = randomObject(random, 3, randomPlain);
+        const mixed = randomObject(random, 3, randomValue);
+        const data = randomData(random, 3);
+        for (const target of [logger, reference.logger]) {
+          target.info('plain', plain);
+          target.info('mixed', mixed);
+          target.info('data', data);
+          target.flush();
+        }
+
+        const [flush] = memory.flushes;
+        // JSON-safe data comes back as is; the rest is encoded like the reference does
+        expect(flush.events[0].data).toEqual(JSON.parse(JSON.stringify(plain)));
+        expect(flush.events.map(normalizeEntry)).toEqual(reference.memory.flushes[0].events.map(normalizeEntry));
+      });
+    });
+
+    property('limits', () => {
+      forAll((random) => {
+        const limits = randomLimits(random);
+        const { logger, memory } = create(Logger, 8, limits);
+        const reference = create(Reference, 8, limits);
+
+        const entries = Array.from({ length: 4 }, () => randomData(random, 4));
+        for (const target of [logger, reference.logger]) {
+          for (const data of entries) target.info('limited', data);
+          target.flush();
+        }
+
+        // Cut where the reference cuts, with the same markers
+        expect(memory.flushes[0].events.map(normalizeEntry))
+          .toEqual(reference.memory.flushes[0].events.map(normalizeEntry));
+      });
+    });
+
+    property('capture', () => {
+      forAll((random) => {
+        const { logger, memory } = create(Logger, 8);
+        const data = randomObject(random, 3, randomPlain);
+        data.nested = { list: [randomPlain(random, 1)] };
+        const expected = JSON.parse(JSON.stringify(data));
+
+        // Entries are captured when logged; later changes to the data don't show
+        logger.info('state', data);
+        mutate(data);
+        logger.flush();
+
+        expect(memory.flushes[0].events[0].data).toEqual(expected);
+      });
+    });
+  });
+}
+
+module.exports = { describeConformance, createRandom, PROPERTIES };
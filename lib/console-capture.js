@@ -0,0 +1,103 @@
+const util = require('util');
+const { resolveLevel } = require('./levels');
+const { isError } = require('./serialize');
+
+// Console methods that can be captured and the levels they log at
+const DEFAULT_CONSOLE_LEVELS = {
+  trace: 'trace',
+  debug: 'debug',
+  log: 'info',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+};
+
+// The console is global, so at most one capture is installed at a time
+let installed = null;
+
+function write(method, args) {
+  const fn = installed !== null ? installed.originals[method] : console[method];
+  fn.apply(console, args);
+}
+
+// The loggers' own console output ("Flushed ...", "Flush failed: ...").
+// While a capture is installed it goes to the unpatched methods, so it
+// never turns into entries of its own.
+const ownConsole = {
+  log: (...args) => write('log', args),
+  error: (...args) => write('error', args)
+};
+
+function resolveConsoleLevels(levels = {}) {
+  if (levels === null || typeof levels !== 'object') {
+    throw new TypeError('captureConsole levels must be an object');
+  }
+  const resolved = {};
+  for (const [method, level] of Object.entries({ ...DEFAULT_CONSOLE_LEVELS, ...levels })) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_CONSOLE_LEVELS, method)) {
+      throw new TypeError(`Unknown console method: ${method}`);
+    }
+    // false leaves the method alone
+    if (level === false) continue;
+    resolved[method] = resolveLevel(level, undefined, `console level for ${method}`);
+  }
+  return resolved;
+}
+
+// Patches the console so each call also logs a `console` entry with the
+// method and the util.format()ted message (plus the first Error argument, if
+// any). Console entries never trigger a flush unless `triggerOnError` is set,
+// in which case they follow the logger's triggers like any other entry.
+// Output printed while an entry is being recorded (by a trigger predicate or
+// a sink, say) passes through without being captured again.
+//
+// Returns an uninstall function.
+function captureConsole(logger, options = {}) {
+  if (installed !== null) {
+    throw new Error('The console is already captured by another logger');
+  }
+  const levels = resolveConsoleLevels(options.levels);
+  const canTrigger = options.triggerOnError === true;
+  const passThrough = options.passThrough !== false;
+
+  const state = { originals: {}, patches: {}, active: true };
+  for (const method of Object.keys(DEFAULT_CONSOLE_LEVELS)) {
+    state.originals[method] = console[method];
+  }
+
+  let recording = false;
+  for (const [method, level] of Object.entries(levels)) {
+    const original = state.originals[method];
+    const patched = function(...args) {
+      if (passThrough || !state.active) original.apply(console, args);
+      if (!state.active || recording || logger.closed) return;
+
+      recording = true;
+      try {
+        const data = { method, message: util.format(...args) };
+        const error = args.find(isError);
+        if (error !== undefined) data.error = error;
+        logger.log('console', data, level, null, canTrigger);
+      } catch (err) {
+        state.originals.error.call(console, 'Console capture failed:', err);
+      } finally {
+        recording = false;
+      }
+    };
+    state.patches[method] = patched;
+    console[method] = patched;
+  }
+  installed = state;
+
+  return function uninstall() {
+    if (!state.active) return;
+    state.active = false;
+    for (const [method, patched] of Object.entries(state.patches)) {
+      // Leave later patches by other code in place; ours then just passes through
+      if (console[method] === patched) console[method] = state.originals[method];
+    }
+    if (installed === state) installed = null;
+  };
+}
+
+module.exports = { captureConsole, ownConsole, DEFAULT_CONSOLE_LEVELS };
@@ -0,0 +1,134 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { openIncident, addIncidentTrace } = require('./trace');
+
+const DEFAULT_CONTEXT_CAPACITY = 50;
+const DEFAULT_GLOBAL_ENTRIES = 20;
+
+// Small ring holding one async context's entries
+class ContextScope {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.entries = new Array(capacity);
+    this.index = 0;
+    this.size = 0;
+    this.errorSeen = false;
+    this.incident = null;
+    this.ended = false;
+  }
+
+  push(entry) {
+    this.entries[this.index] = entry;
+    this.index = (this.index + 1) % this.capacity;
+    if (this.size < this.capacity) this.size++;
+  }
+
+  // Returns the entries oldest first and empties the ring
+  drain() {
+    const out = new Array(this.size);
+    const start = (this.index - this.size + this.capacity) % this.capacity;
+    for (let i = 0; i < this.size; i++) {
+      out[i] = this.entries[(start + i) % this.capacity];
+    }
+    this.entries.fill(undefined);
+    this.size = 0;
+    return out;
+  }
+}
+
+function resolveContextOptions(spec) {
+  const options = spec === true ? {} : spec;
+  if (options === null || typeof options !== 'object') {
+    throw new TypeError('contexts must be true or an options object');
+  }
+
+  const capacity = options.capacity === undefined ? DEFAULT_CONTEXT_CAPACITY : options.capacity;
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new TypeError('contexts.capacity must be a positive integer');
+  }
+  const globalEntries = options.globalEntries === undefined ? DEFAULT_GLOBAL_ENTRIES : options.globalEntries;
+  if (!Number.isInteger(globalEntries) || globalEntries < 0) {
+    throw new TypeError('contexts.globalEntries must be a non-negative integer');
+  }
+
+  return { capacity, globalEntries };
+}
+
+// Request-scoped rings. Entries logged inside run() go to that context's own
+// ring instead of the global one. A trigger writes the context's history plus
+// the last `globalEntries` entries of the global ring as the pre-error file;
+// the context's later entries are written as the post-error file when its
+// ring fills or the context ends, and the ring is then dropped.
+//
+// The logger provides _writeEvents(reason, events, incident) and
+// _recentEntries(count); entries handed to record() must not be pooled.
+class ContextStore {
+  constructor(logger, spec) {
+    const { capacity, globalEntries } = resolveContextOptions(spec);
+    this.logger = logger;
+    this.capacity = capacity;
+    this.globalEntries = globalEntries;
+    this.storage = new AsyncLocalStorage();
+    this.active = 0;
+  }
+
+  // The scope of the current async context, or undefined outside run()
+  current() {
+    const scope = this.storage.getStore();
+    return scope !== undefined && !scope.ended ? scope : undefined;
+  }
+
+  run(fn) {
+    const scope = new ContextScope(this.capacity);
+    this.active++;
+
+    return this.storage.run(scope, () => {
+      let result;
+      try {
+        result = fn();
+      } catch (err) {
+        this.end(scope);
+        throw err;
+      }
+      if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+        return Promise.resolve(result).finally(() => this.end(scope));
+      }
+      this.end(scope);
+      return result;
+    });
+  }
+
+  record(scope, entry, isTrigger) {
+    const logger = this.logger;
+    if (isTrigger) {
+      entry.incidentId = ++logger.incidentId;
+      if (scope.incident === null) scope.incident = openIncident();
+      addIncidentTrace(scope.incident, entry.traceId);
+      logger.emit('trigger', {
+        event: entry.event, level: entry.level, incidentId: entry.incidentId,
+        correlationId: scope.incident.correlationId, traceId: entry.traceId || null
+      });
+    }
+    scope.push(entry);
+
+    if (isTrigger && !scope.errorSeen) {
+      scope.errorSeen = true;
+      const history = logger._recentEntries(this.globalEntries).concat(scope.drain());
+      logger._writeEvents('pre-error-context', history, scope.incident);
+    } else if (scope.errorSeen && scope.size === scope.capacity) {
+      // Write the window out before the small ring starts overwriting it
+      logger._writeEvents('post-error-context', scope.drain(), scope.incident);
+    }
+  }
+
+  end(scope) {
+    if (scope.ended) return;
+    scope.ended = true;
+    this.active--;
+    if (scope.errorSeen && scope.size > 0) {
+      this.logger._writeEvents('post-error-context', scope.drain(), scope.incident);
+    }
+    scope.entries = null;
+  }
+}
+
+module.exports = { ContextStore, DEFAULT_CONTEXT_CAPACITY, DEFAULT_GLOBAL_ENTRIES };
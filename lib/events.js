@@ -0,0 +1,58 @@
+const { ownConsole } = require('./console-capture');
+
+// Events emitted by the loggers (they are EventEmitters):
+//   flush       { reason, flushId, flushedAt, eventCount, targets, filename, duration }
+//   flush-error { reason, flushId, error }
+//   trigger     { event, level, incidentId, correlationId, traceId }
+//   drop        { reason: 'level' | 'budget' | 'closed', event, level }
+//   wrap        { capacity, flushId }
+// `targets` are the sinks' descriptions of where the flush went (the file
+// path for file sinks), `filename` is the first of them and `duration` is
+// the serialize-and-write time in ms. Listeners run synchronously, inside
+// the log() or flush() call that caused the event.
+
+function elapsedMs(start) {
+  return Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3;
+}
+
+// Emits the outcome of writing one flush record to the sinks
+function reportWrite(emitter, record, result, start) {
+  for (let i = 0; i < result.errors.length; i++) {
+    reportFlushError(emitter, record.reason, record.flushId, result.errors[i]);
+  }
+  if (result.targets.length > 0) {
+    emitter.emit('flush', {
+      reason: record.reason,
+      flushId: record.flushId,
+      flushedAt: record.flushedAt,
+      eventCount: record.eventCount,
+      targets: result.targets,
+      filename: result.targets[0],
+      duration: elapsedMs(start)
+    });
+  }
+}
+
+function reportFlushError(emitter, reason, flushId, error) {
+  emitter.emit('flush-error', { reason, flushId, error });
+}
+
+// The opt-in console listener (`reportToConsole` option): prints the status
+// lines the loggers used to print themselves. Returns a detach function.
+function attachConsoleReporter(emitter) {
+  const onFlush = ({ reason, flushId, targets }) => {
+    ownConsole.log(`Flushed ${reason} (${flushId}) -> ${targets.join(', ')}`);
+  };
+  const onError = ({ error }) => {
+    ownConsole.error('Flush failed:', error);
+  };
+  emitter.on('flush', onFlush);
+  emitter.on('flush-error', onError);
+
+  return function detach() {
+    emitter.removeListener('flush', onFlush);
+    emitter.removeListener('flush-error', onError);
+  };
+}
+
+module.exports = { elapsedMs, reportWrite, reportFlushError, attachConsoleReporter };
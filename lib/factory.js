@@ -0,0 +1,36 @@
+const { DEFAULT_CAPACITY } = require('./options');
+
+// Loaded on first use, so picking one implementation doesn't load the others
+const IMPLEMENTATIONS = {
+  original: () => require('../index'),
+  pooled: () => require('../index-object-pooled'),
+  bit: () => require('../index-bit-optimized')
+};
+
+// 'auto' takes the pooled logger when the capacity is a power of two, where
+// its rounding changes nothing, and the original otherwise, so the ring
+// always holds exactly `capacity` entries
+function autoImplementation(capacity) {
+  return Number.isInteger(capacity) && capacity > 0 && (capacity & (capacity - 1)) === 0 ? 'pooled' : 'original';
+}
+
+// createLogger({ implementation, capacity, logDir, ...options }): one entry
+// point for the three implementations, which share the constructor options
+// and the documented behavior; getStats().implementation says which one runs
+function createLogger(options = {}) {
+  if (options === null || typeof options !== 'object') {
+    throw new TypeError('createLogger options must be an object');
+  }
+  const { implementation = 'auto', ...rest } = options;
+  const name = implementation === 'auto'
+    ? autoImplementation(rest.capacity === undefined ? DEFAULT_CAPACITY : rest.capacity)
+    : implementation;
+  if (!Object.prototype.hasOwnProperty.call(IMPLEMENTATIONS, name)) {
+    throw new TypeError(`Unknown implementation: ${String(implementation)}`);
+  }
+
+  const Logger = IMPLEMENTATIONS[name]();
+  return new Logger(rest);
+}
+
+module.exports = { createLogger, IMPLEMENTATION_NAMES: Object.keys(IMPLEMENTATIONS) };
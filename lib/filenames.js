@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const os = require('os');
+
+const DEFAULT_FILENAME = 'log-{reason}-{flushId}.json';
+const PLACEHOLDER = /\{(\w+)\}/g;
+const KNOWN_PLACEHOLDERS = new Set(['reason', 'flushId', 'runId', 'pid', 'hostname', 'timestamp']);
+
+// Unique per logger run: base36 start time plus random bytes, so restarts and
+// processes sharing a directory never produce the same id
+function createRunId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Keep substituted values from escaping the log directory
+function safeSegment(value) {
+  return String(value).replace(/[/\\]/g, '_');
+}
+
+// 2024-01-15T14:30:45.123Z -> 2024-01-15T14-30-45-123Z
+function fileTimestamp(iso) {
+  return (iso || new Date().toISOString()).replace(/[:.]/g, '-');
+}
+
+// Compiles a filename template into (record) => filename. Templates may use
+// {reason}, {flushId}, {runId}, {pid}, {hostname} and {timestamp}, or be a
+// function receiving the flush record and the run id.
+function compileFilename(template = DEFAULT_FILENAME, runId = createRunId()) {
+  if (typeof template === 'function') {
+    return (record) => safeSegment(template(record, runId));
+  }
+  if (typeof template !== 'string' || template.length === 0) {
+    throw new TypeError('filename must be a non-empty string or a function');
+  }
+
+  for (const [, name] of template.matchAll(PLACEHOLDER)) {
+    if (!KNOWN_PLACEHOLDERS.has(name)) {
+      throw new TypeError(`Unknown filename placeholder: {${name}}`);
+    }
+  }
+
+  const fixed = {
+    runId: safeSegment(runId),
+    pid: String(process.pid),
+    hostname: safeSegment(os.hostname())
+  };
+
+  return (record) => template.replace(PLACEHOLDER, (_, name) => {
+    switch (name) {
+    case 'reason': return safeSegment(record.reason);
+    case 'flushId': return String(record.flushId);
+    case 'timestamp': return fileTimestamp(record.flushedAt);
+    default: return fixed[name];
+    }
+  });
+}
+
+module.exports = { DEFAULT_FILENAME, createRunId, compileFilename };
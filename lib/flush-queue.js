@@ -0,0 +1,28 @@
+// Serial promise queue for asynchronous flushes. Tasks run one at a time in
+// push order, each after yielding the current tick, so a post-error flush can
+// never land before the pre-error flush it follows.
+class FlushQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+    this.pending = 0;
+  }
+
+  push(task) {
+    this.pending++;
+    this.tail = this.tail
+      .then(() => new Promise(resolve => setImmediate(resolve)))
+      .then(task)
+      .catch(() => {}) // tasks report their own failures; keep the chain alive
+      .then(() => {
+        this.pending--;
+      });
+    return this.tail;
+  }
+
+  // Resolves once everything queued so far has been written
+  get idle() {
+    return this.tail;
+  }
+}
+
+module.exports = FlushQueue;
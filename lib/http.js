@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { LEVELS } = require('./levels');
+const { runWithTrace } = require('./trace');
+const { elapsedMs } = require('./events');
+
+const DEFAULT_REQUEST_ID_HEADER = 'x-request-id';
+// Incoming ids are echoed into logs and response headers, so only plain
+// tokens are accepted; anything else gets a fresh id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function pathOf(url) {
+  const query = url.indexOf('?');
+  return query === -1 ? url : url.slice(0, query);
+}
+
+// Route pattern when the framework exposes one (Express sets req.route once a
+// route matched, Fastify has routeOptions.url), else the path without query
+function defaultRoute(req) {
+  if (req.route && typeof req.route.path === 'string') return (req.baseUrl || '') + req.route.path;
+  if (req.routeOptions && typeof req.routeOptions.url === 'string') return req.routeOptions.url;
+  return pathOf(req.originalUrl || req.url || '/');
+}
+
+// Connect-style (req, res, next) middleware. Each request gets an id (taken
+// from the request id header when valid) and `req.log`, a child logger bound
+// to it. `request_start` and `request_end` are logged with method, route,
+// status and duration in ms; 5xx responses are logged at error level and
+// thrown handler errors as `request_error`, so both trigger a flush under the
+// default triggerLevel. A valid `traceparent` header puts its trace ids on
+// the request's entries, and with the `contexts` option each request runs in
+// its own context until the response finishes.
+function createHttpMiddleware(logger, options = {}) {
+  const header = options.requestIdHeader === undefined ? DEFAULT_REQUEST_ID_HEADER : options.requestIdHeader;
+  if (typeof header !== 'string' || header === '') {
+    throw new TypeError('requestIdHeader must be a non-empty string');
+  }
+  const genReqId = options.genReqId === undefined ? () => crypto.randomUUID() : options.genReqId;
+  if (typeof genReqId !== 'function') {
+    throw new TypeError('genReqId must be a function');
+  }
+  const routeOf = options.route === undefined ? defaultRoute : options.route;
+  if (typeof routeOf !== 'function') {
+    throw new TypeError('route must be a function');
+  }
+  const headerName = header.toLowerCase();
+
+  const recordError = (req, err) => {
+    req.log.error('request_error', { method: req.method, route: routeOf(req), error: err });
+  };
+
+  const fail = (req, res, err) => {
+    recordError(req, err);
+    if (!res.headersSent) {
+      res.statusCode = 500;
+      res.end();
+    } else if (!res.writableEnded) {
+      res.end();
+    }
+  };
+
+  const handle = (req, res, next, start) => new Promise((resolve) => {
+    const done = () => {
+      res.removeListener('finish', done);
+      res.removeListener('close', done);
+
+      const status = res.statusCode;
+      const data = { method: req.method, route: routeOf(req), status, duration: elapsedMs(start) };
+      // 'close' before 'finish': the client went away mid-response
+      if (!res.writableFinished) data.aborted = true;
+      req.log.log('request_end', data, status >= 500 ? LEVELS.error : LEVELS.info);
+      resolve();
+    };
+    res.on('finish', done);
+    res.on('close', done);
+
+    req.log.info('request_start', { method: req.method, route: routeOf(req) });
+    if (typeof next !== 'function') return;
+
+    try {
+      const result = next();
+      if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+        result.then(undefined, err => fail(req, res, err));
+      }
+    } catch (err) {
+      fail(req, res, err);
+    }
+  });
+
+  function middleware(req, res, next) {
+    const start = process.hrtime.bigint();
+    const incoming = req.headers[headerName];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : String(genReqId(req));
+
+    req.id = requestId;
+    req.log = logger.child({ requestId });
+    if (!res.headersSent) res.setHeader(header, requestId);
+
+    const run = logger.contexts !== null
+      ? () => logger.runInContext(() => handle(req, res, next, start))
+      : () => handle(req, res, next, start);
+    const traceparent = req.headers.traceparent;
+    if (typeof traceparent === 'string') {
+      runWithTrace(traceparent, run);
+    } else {
+      run();
+    }
+  }
+
+  // Express error middleware: frameworks catch handler errors themselves, so
+  // mount this after the routes to record them before their error handling
+  middleware.errorHandler = function errorHandler(err, req, res, next) {
+    if (req.log !== undefined) recordError(req, err);
+    next(err);
+  };
+
+  return middleware;
+}
+
+module.exports = { createHttpMiddleware, DEFAULT_REQUEST_ID_HEADER };
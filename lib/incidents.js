@@ -0,0 +1,25 @@
+// Lists the triggering entries of a flush with their position in `events`,
+// so a single file can show several distinct incidents
+function collectIncidents(events) {
+  const incidents = [];
+  for (let i = 0; i < events.length; i++) {
+    const entry = events[i];
+    if (entry.incidentId !== undefined) {
+      const incident = {
+        incidentId: entry.incidentId,
+        event: entry.event,
+        ts: entry.ts,
+        position: i
+      };
+      // Links the incident to the trace it happened in
+      if (entry.traceId !== undefined && entry.traceId !== null) {
+        incident.traceId = entry.traceId;
+        if (entry.spanId !== undefined && entry.spanId !== null) incident.spanId = entry.spanId;
+      }
+      incidents.push(incident);
+    }
+  }
+  return incidents;
+}
+
+module.exports = { collectIncidents };
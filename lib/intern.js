@@ -0,0 +1,98 @@
+const DEFAULT_MAX_EVENT_NAMES = 1024;
+// Ids are kept in Uint16Arrays
+const MAX_EVENT_ID = 0xffff;
+
+// Maps event names to small integer ids, so the optimized rings can keep one
+// id per slot in a typed array and compare integers instead of strings.
+// Lookups go through a Map, so two names share an id only when they are the
+// same string. Once `maxEventNames` names are interned, further new names
+// get id 0, which is never a trigger and is compared by string where it
+// matters; this keeps loggers with unbounded event names from growing the
+// table forever.
+class EventTable {
+  constructor(maxEventNames = DEFAULT_MAX_EVENT_NAMES) {
+    this.maxEventNames = maxEventNames;
+    this.ids = new Map();
+    this.names = [undefined]; // id 0 has no name
+  }
+
+  get size() {
+    return this.names.length - 1;
+  }
+
+  // Id of a name, interning it if there is room
+  intern(name) {
+    const id = this.ids.get(name);
+    if (id !== undefined) return id;
+    if (this.size >= this.maxEventNames) return 0;
+    return this._add(name);
+  }
+
+  // Interns a name regardless of the limit (trigger event names)
+  reserve(name) {
+    const id = this.ids.get(name);
+    if (id !== undefined) return id;
+    if (this.size >= MAX_EVENT_ID) throw new RangeError('Too many event names');
+    return this._add(name);
+  }
+
+  // Id of an interned name, or 0
+  lookup(name) {
+    const id = this.ids.get(name);
+    return id === undefined ? 0 : id;
+  }
+
+  name(id) {
+    return this.names[id];
+  }
+
+  _add(name) {
+    const id = this.names.length;
+    this.ids.set(name, id);
+    this.names.push(name);
+    return id;
+  }
+}
+
+// Entries of a ring with the given event name, oldest first. `ids` holds the
+// event id of each slot; names without an id are compared as strings.
+function selectEvent(table, ids, buffer, start, event) {
+  const id = table.lookup(event);
+  const capacity = buffer.length;
+  const out = [];
+  for (let i = 0; i < capacity; i++) {
+    const pos = (start + i) % capacity;
+    const entry = buffer[pos];
+    if (!entry) continue;
+    if (id !== 0 ? ids[pos] === id : ids[pos] === 0 && entry.event === event) out.push(entry);
+  }
+  return out;
+}
+
+// Number of entries per event name in a ring
+function countEvents(table, ids, buffer) {
+  const counts = new Uint32Array(table.size + 1);
+  let others = null;
+  for (let pos = 0; pos < buffer.length; pos++) {
+    const entry = buffer[pos];
+    if (!entry) continue;
+    const id = ids[pos];
+    if (id !== 0) {
+      counts[id]++;
+    } else {
+      if (others === null) others = new Map();
+      others.set(entry.event, (others.get(entry.event) || 0) + 1);
+    }
+  }
+
+  const result = Object.create(null); // any event name is a safe key
+  for (let id = 1; id < counts.length; id++) {
+    if (counts[id] !== 0) result[table.name(id)] = counts[id];
+  }
+  if (others !== null) {
+    for (const [name, count] of others) result[name] = count;
+  }
+  return result;
+}
+
+module.exports = { EventTable, selectEvent, countEvents, DEFAULT_MAX_EVENT_NAMES, MAX_EVENT_ID };
@@ -0,0 +1,28 @@
+// True if JSON.stringify would escape any character: quote, backslash,
+// control characters and (since Node 12) lone surrogates. Surrogate pairs
+// count too and take the slow path, which is still correct.
+function needsEscape(value) {
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    if (code < 0x20 || code === 0x22 || code === 0x5c || (code >= 0xd800 && code <= 0xdfff)) return true;
+  }
+  return false;
+}
+
+// JSON.stringify for a value spliced into hand-built JSON: values it can't
+// represent (undefined, functions, symbols) become null instead of leaving a
+// hole in the document
+function stringify(value, replacer) {
+  const json = JSON.stringify(value, replacer);
+  return json === undefined ? 'null' : json;
+}
+
+// JSON string literal for the hand-built serializers, identical to
+// JSON.stringify(value). Most event names and reasons need no escaping, so
+// they are just wrapped in quotes; anything else goes through JSON.stringify.
+function quote(value) {
+  if (typeof value !== 'string') return stringify(value);
+  return needsEscape(value) ? JSON.stringify(value) : '"' + value + '"';
+}
+
+module.exports = { quote, stringify };
@@ -0,0 +1,54 @@
+// Numeric severities, spaced out so custom levels can slot in between
+const LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60
+};
+
+// Accepts a level name or a number, returns the numeric level (or null)
+function toLevel(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string' && Object.prototype.hasOwnProperty.call(LEVELS, value)) {
+    return LEVELS[value];
+  }
+  return null;
+}
+
+// Severity of a log call for a triggers minLevel: event names that are level
+// names count as that level, otherwise an explicit `level` field on the data
+function severityOf(event, data) {
+  const fromEvent = typeof event === 'string' ? toLevel(event) : null;
+  if (fromEvent !== null) return fromEvent;
+  if (data !== null && typeof data === 'object') return toLevel(data.level);
+  return null;
+}
+
+// Level stored on an entry logged with log(event, data): the event name or
+// `data.level` when it is a level name, otherwise info. A numeric field is
+// usually just data ({ level: 80 } for a battery), so it doesn't count here.
+function levelOf(event, data) {
+  const fromEvent = typeof event === 'string' ? toLevel(event) : null;
+  if (fromEvent !== null) return fromEvent;
+  if (data !== null && typeof data === 'object' && typeof data.level === 'string') {
+    const fromData = toLevel(data.level);
+    if (fromData !== null) return fromData;
+  }
+  return LEVELS.info;
+}
+
+// Validates a level option or argument: undefined gives the fallback, null
+// stays null, unknown names throw
+function resolveLevel(value, fallback, name = 'level') {
+  if (value === undefined) return fallback;
+  if (value === null) return null;
+  const level = toLevel(value);
+  if (level === null) {
+    throw new TypeError(`Unknown ${name}: ${String(value)}`);
+  }
+  return level;
+}
+
+module.exports = { LEVELS, toLevel, severityOf, levelOf, resolveLevel };
@@ -0,0 +1,92 @@
+const { DEFAULT_MAX_STRING_LENGTH } = require('./serialize');
+const { DEFAULT_MAX_EVENT_NAMES, MAX_EVENT_ID } = require('./intern');
+
+const DEFAULT_CAPACITY = 100;
+const DEFAULT_LOG_DIR = './logs';
+
+// The constructors take (capacity, logDir, options) or a single options
+// object with `capacity` and `logDir` among the other options
+function resolveConstructorArgs(capacity, logDir, options) {
+  if (capacity === null || typeof capacity !== 'object') return { capacity, logDir, options };
+  const { capacity: size = DEFAULT_CAPACITY, logDir: dir = DEFAULT_LOG_DIR, ...rest } = capacity;
+  return { capacity: size, logDir: dir, options: rest };
+}
+
+// Resolves the post-error window for a ring of the given capacity.
+// `postErrorEntries` defaults to capacity - 1, which matches the original
+// "flush when the index wraps back to the error" behavior, and is capped at
+// capacity so the window never overwrites its own entries.
+// `postErrorMs` closes the window on a timer even when traffic stops.
+function resolvePostErrorWindow(options, capacity) {
+  const maxEntries = Math.max(capacity || 0, 0);
+  let entries = Math.max(maxEntries - 1, 0);
+  let ms = null;
+
+  if (options.postErrorEntries !== undefined) {
+    if (!Number.isInteger(options.postErrorEntries) || options.postErrorEntries < 0) {
+      throw new TypeError('postErrorEntries must be a non-negative integer');
+    }
+    entries = Math.min(options.postErrorEntries, maxEntries);
+  }
+
+  if (options.postErrorMs !== undefined && options.postErrorMs !== null) {
+    if (typeof options.postErrorMs !== 'number' || !(options.postErrorMs >= 0)) {
+      throw new TypeError('postErrorMs must be a non-negative number');
+    }
+    ms = options.postErrorMs;
+  }
+
+  return { entries, ms };
+}
+
+const LIMITS = ['maxDepth', 'maxKeys', 'maxArrayLength', 'maxStringLength', 'maxEntryBytes'];
+
+// Resolves the sanitization limits. Only maxStringLength has a default (the
+// original 1000 characters); the rest are off unless configured.
+function resolveLimits(options) {
+  const limits = {
+    maxDepth: Infinity,
+    maxKeys: Infinity,
+    maxArrayLength: Infinity,
+    maxStringLength: DEFAULT_MAX_STRING_LENGTH,
+    maxEntryBytes: Infinity
+  };
+
+  for (const name of LIMITS) {
+    const value = options[name];
+    if (value === undefined || value === null) continue;
+    if (value !== Infinity && (!Number.isInteger(value) || value < 1)) {
+      throw new TypeError(`${name} must be a positive integer`);
+    }
+    limits[name] = value;
+  }
+
+  return limits;
+}
+
+// Resolves the optional byte budget for the whole ring, or null when the ring
+// is bounded by entry count alone
+function resolveMaxBytes(options) {
+  const maxBytes = options.maxBytes;
+  if (maxBytes === undefined || maxBytes === null) return null;
+  if (!Number.isInteger(maxBytes) || maxBytes < 1) {
+    throw new TypeError('maxBytes must be a positive integer');
+  }
+  return maxBytes;
+}
+
+// Resolves how many distinct event names the optimized loggers intern, see
+// lib/intern.js
+function resolveMaxEventNames(options) {
+  const max = options.maxEventNames;
+  if (max === undefined || max === null) return DEFAULT_MAX_EVENT_NAMES;
+  if (!Number.isInteger(max) || max < 1 || max > MAX_EVENT_ID) {
+    throw new TypeError(`maxEventNames must be an integer from 1 to ${MAX_EVENT_ID}`);
+  }
+  return max;
+}
+
+module.exports = {
+  resolveConstructorArgs, resolvePostErrorWindow, resolveLimits, resolveMaxBytes, resolveMaxEventNames,
+  DEFAULT_CAPACITY, DEFAULT_LOG_DIR
+};
@@ -0,0 +1,58 @@
+const { LEVELS } = require('./levels');
+
+const DEFAULT_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+// Hooks a logger into process crash and shutdown paths. Exceptions are
+// observed through 'uncaughtExceptionMonitor', which runs before Node's
+// default handling without changing it, so the process still prints the
+// error and exits with code 1. Unhandled rejections reach it too under the
+// default --unhandled-rejections=throw mode. Signal handlers flush, then
+// re-raise the signal if nobody else is listening so the process terminates
+// the way it would have without us.
+//
+// Returns an uninstall function.
+function installProcessHandlers(logger, options = {}) {
+  const signals = options.signals === undefined ? DEFAULT_SIGNALS : options.signals;
+  const exceptions = options.exceptions !== false;
+
+  const onException = (err, origin) => {
+    const rejection = origin === 'unhandledRejection';
+    // Fatal, so a capture threshold (level: 'warn') never keeps it out of the
+    // crash flush, and not a trigger, so it doesn't flush on its own first
+    logger.log(rejection ? 'unhandledRejection' : 'uncaughtException', { error: err }, LEVELS.fatal, null, false);
+    // The process is about to die: write synchronously even in asyncFlush mode
+    logger.flush(rejection ? 'crash-unhandled-rejection' : 'crash-uncaught-exception', { sync: true });
+  };
+
+  const signalHandlers = new Map();
+  for (const signal of signals) {
+    const handler = () => {
+      logger.log('shutdown', { signal });
+      const written = logger.flush(`shutdown-${signal.toLowerCase()}`);
+
+      process.removeListener(signal, handler);
+      signalHandlers.delete(signal);
+      written.then(() => {
+        if (process.listenerCount(signal) === 0) {
+          process.kill(process.pid, signal);
+        }
+      });
+    };
+    signalHandlers.set(signal, handler);
+    process.on(signal, handler);
+  }
+
+  if (exceptions) {
+    process.on('uncaughtExceptionMonitor', onException);
+  }
+
+  return function uninstall() {
+    process.removeListener('uncaughtExceptionMonitor', onException);
+    for (const [signal, handler] of signalHandlers) {
+      process.removeListener(signal, handler);
+    }
+    signalHandlers.clear();
+  };
+}
+
+module.exports = { installProcessHandlers, DEFAULT_SIGNALS };
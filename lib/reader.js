@@ -0,0 +1,71 @@
+const fs = require('fs');
+const { TYPE_KEY } = require('./serialize');
+
+const TYPED_ARRAYS = {
+  Int8Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  BigInt64Array,
+  BigUint64Array
+};
+
+function decodeObject(obj) {
+  const out = {};
+  for (const key of Object.keys(obj)) {
+    out[key] = decode(obj[key]);
+  }
+  return out;
+}
+
+function toArrayBuffer(base64) {
+  const bytes = Buffer.from(base64, 'base64');
+  // Copy into a fresh, aligned ArrayBuffer
+  const buffer = new ArrayBuffer(bytes.length);
+  new Uint8Array(buffer).set(bytes);
+  return buffer;
+}
+
+const DECODERS = {
+  Object: tagged => decodeObject(tagged.value),
+  BigInt: tagged => BigInt(tagged.value),
+  Date: tagged => new Date(tagged.value === null ? NaN : tagged.value),
+  Map: tagged => new Map(tagged.value.map(([k, v]) => [decode(k), decode(v)])),
+  Set: tagged => new Set(tagged.value.map(decode)),
+  Buffer: tagged => Buffer.from(tagged.value, 'base64'),
+  ArrayBuffer: tagged => toArrayBuffer(tagged.value)
+};
+
+for (const [name, TypedArray] of Object.entries(TYPED_ARRAYS)) {
+  DECODERS[name] = tagged => new TypedArray(toArrayBuffer(tagged.value));
+}
+
+// Turns tagged values ({ "$type": "Map", "value": ... }) written by the
+// loggers back into Map, Set, Date, BigInt, Buffer and typed arrays. Works
+// top-down so escaped user objects containing a $type key stay untouched.
+function decode(value) {
+  if (Array.isArray(value)) return value.map(decode);
+  if (value === null || typeof value !== 'object') return value;
+
+  const type = value[TYPE_KEY];
+  if (typeof type === 'string' && 'value' in value && Object.prototype.hasOwnProperty.call(DECODERS, type)) {
+    return DECODERS[type](value);
+  }
+  return decodeObject(value);
+}
+
+// Parses a flush payload and decodes every tagged value in it
+function parseFlush(json) {
+  return decode(JSON.parse(json));
+}
+
+function readFlushFile(filename) {
+  return parseFlush(fs.readFileSync(filename, 'utf8'));
+}
+
+module.exports = { decode, parseFlush, readFlushFile };
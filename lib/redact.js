@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { isError, serializeError, encodeSpecial, TYPE_KEY } = require('./serialize');
+
+const MODES = ['mask', 'remove', 'hash'];
+const DEFAULT_MASK = '[Redacted]';
+const REMOVE = Symbol('remove');
+
+// Tagged values that are leaves and must stay decodable. Other objects with
+// a $type key are walked: Map, Set and Object tags for their contents, and
+// anything else because it can only be user data.
+const LEAF_TAGS = new Set([
+  'Date', 'BigInt', 'Buffer', 'ArrayBuffer',
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'
+]);
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = digits.charCodeAt(digits.length - 1 - i) - 48;
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Built-in value patterns, usable by name in `values`
+const VALUE_PATTERNS = {
+  card: {
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: match => luhn(match.replace(/[ -]/g, ''))
+  },
+  email: { regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  jwt: { regex: /\beyJ[A-Za-z0-9_-]*\.eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]*/g }
+};
+
+function compilePath(path) {
+  if (typeof path !== 'string' || path === '') {
+    throw new TypeError('redact paths must be non-empty strings');
+  }
+  const segments = path.split('.');
+  if (segments.includes('')) {
+    throw new TypeError(`Invalid redact path: ${path}`);
+  }
+  return segments;
+}
+
+function compileKey(key) {
+  if (typeof key === 'string') {
+    const lower = key.toLowerCase();
+    return name => name.toLowerCase() === lower;
+  }
+  if (key instanceof RegExp) {
+    // Drop g/y so test() doesn't carry lastIndex between keys
+    const regex = new RegExp(key.source, key.flags.replace(/[gy]/g, ''));
+    return name => regex.test(name);
+  }
+  throw new TypeError('redact keys must be strings or RegExps');
+}
+
+function compileValue(value) {
+  if (typeof value === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(VALUE_PATTERNS, value)) {
+      throw new TypeError(`Unknown redact value pattern: ${value}`);
+    }
+    return VALUE_PATTERNS[value];
+  }
+  if (value instanceof RegExp) {
+    const flags = value.flags.includes('g') ? value.flags : value.flags + 'g';
+    return { regex: new RegExp(value.source, flags) };
+  }
+  throw new TypeError('redact values must be RegExps or one of: ' + Object.keys(VALUE_PATTERNS).join(', '));
+}
+
+// Builds the redaction step from the `redact` option, or returns null when
+// nothing is configured. Accepts an array of key paths or
+// { paths, keys, values, mode, mask, salt }:
+//   paths  - dotted key paths from the entry data; `*` matches any one key
+//   keys   - key names (case-insensitive strings or RegExps) at any depth
+//   values - RegExps or built-in patterns ('card', 'email', 'jwt') matched
+//            inside string values
+//   mode   - 'mask' (default), 'remove', or 'hash' (salted HMAC, so equal
+//            values stay correlatable without being readable)
+// The returned function never mutates its input: objects on the way to a
+// redacted value are copied, everything else is shared.
+function createRedactor(spec) {
+  if (spec === undefined || spec === null || spec === false) return null;
+
+  const options = Array.isArray(spec) ? { paths: spec } : spec;
+  if (typeof options !== 'object') {
+    throw new TypeError('redact must be an array of paths or an options object');
+  }
+
+  const mode = options.mode === undefined ? 'mask' : options.mode;
+  if (!MODES.includes(mode)) {
+    throw new TypeError(`Unknown redact mode: ${mode}`);
+  }
+
+  const paths = (options.paths || []).map(compilePath);
+  const keys = (options.keys || []).map(compileKey);
+  const values = (options.values || []).map(compileValue);
+  if (paths.length === 0 && keys.length === 0 && values.length === 0) return null;
+
+  const mask = options.mask === undefined ? DEFAULT_MASK : options.mask;
+  // Without a configured salt, hashes only correlate within this logger
+  const salt = options.salt === undefined ? crypto.randomBytes(16).toString('hex') : String(options.salt);
+
+  const censor = (value) => {
+    if (mode !== 'hash') return mask;
+    const text = typeof value === 'string' ? value : JSON.stringify(value === undefined ? null : value);
+    return 'sha256:' + crypto.createHmac('sha256', salt).update(String(text)).digest('hex').slice(0, 16);
+  };
+
+  const matchesPath = (trail) => {
+    for (const path of paths) {
+      if (path.length !== trail.length) continue;
+      let match = true;
+      for (let i = 0; i < path.length; i++) {
+        if (path[i] !== '*' && path[i] !== trail[i]) {
+          match = false;
+          break;
+        }
+      }
+      if (match) return true;
+    }
+    return false;
+  };
+
+  const matchesKey = (key) => {
+    for (const test of keys) {
+      if (test(key)) return true;
+    }
+    return false;
+  };
+
+  const redactString = (str) => {
+    let hit = false;
+    let out = str;
+    for (const { regex, validate } of values) {
+      regex.lastIndex = 0;
+      out = out.replace(regex, (match) => {
+        if (validate !== undefined && !validate(match)) return match;
+        hit = true;
+        return censor(match);
+      });
+    }
+    if (!hit) return str;
+    return mode === 'remove' ? REMOVE : out;
+  };
+
+  // Redacts one keyed value: `key` is pushed onto the trail while it is
+  // checked against the rules and visited
+  const visitEntry = (key, value, trail, ancestors, keyed) => {
+    trail.push(key);
+    let next;
+    if ((keyed && matchesKey(key)) || matchesPath(trail)) {
+      next = mode === 'remove' ? REMOVE : censor(value);
+    } else {
+      next = visit(value, trail, ancestors);
+    }
+    trail.pop();
+    return next;
+  };
+
+  // A tag stands for its value, so its contents keep the tag's trail: an
+  // Object tag's value is user data, a Set's items are indexed, and a Map's
+  // keys match key and path rules like object keys
+  const visitTag = (tag, trail, ancestors) => {
+    let value;
+    if (tag[TYPE_KEY] === 'Object') {
+      value = visit(tag.value, trail, ancestors, true);
+    } else if (tag[TYPE_KEY] === 'Map' && Array.isArray(tag.value)) {
+      value = visitMapEntries(tag.value, trail, ancestors);
+    } else {
+      value = visit(tag.value, trail, ancestors);
+    }
+    return value === tag.value ? tag : { ...tag, value };
+  };
+
+  const visitMapEntries = (entries, trail, ancestors) => {
+    let copy = null;
+    for (let i = 0; i < entries.length; i++) {
+      const pair = entries[i];
+      if (!Array.isArray(pair) || pair.length !== 2) continue;
+      const [key, value] = pair;
+      // Keys that aren't strings or numbers only match a `*` path segment
+      const named = typeof key === 'string' || typeof key === 'number';
+      const nextKey = visit(key, trail, ancestors);
+      const next = nextKey === REMOVE ? REMOVE : visitEntry(named ? String(key) : '', value, trail, ancestors, named);
+      if (nextKey === key && next === value) continue;
+      if (copy === null) copy = entries.slice();
+      copy[i] = next === REMOVE ? REMOVE : [nextKey, next];
+    }
+    if (copy === null) return entries;
+    return copy.filter(pair => pair !== REMOVE);
+  };
+
+  // `plain` is set for the contents of an Object tag: user data whose own
+  // $type key is just a key
+  const visit = (node, trail, ancestors, plain = false) => {
+    if (typeof node === 'string') return values.length > 0 ? redactString(node) : node;
+    if (node === null || typeof node !== 'object' || ancestors.has(node)) return node;
+
+    // Shallow sanitizers leave nested errors, Maps and Sets as live
+    // references; normalize them so their contents are redacted too
+    if (isError(node)) {
+      node = serializeError(node);
+    } else {
+      const special = encodeSpecial(node, null, { escapeTags: false });
+      if (special !== undefined) node = special;
+    }
+    const tagged = !plain && typeof node[TYPE_KEY] === 'string' && Object.prototype.hasOwnProperty.call(node, 'value');
+    if (tagged && LEAF_TAGS.has(node[TYPE_KEY])) return node;
+
+    ancestors.add(node);
+    if (tagged && (node[TYPE_KEY] === 'Object' || node[TYPE_KEY] === 'Map' || node[TYPE_KEY] === 'Set')) {
+      const out = visitTag(node, trail, ancestors);
+      ancestors.delete(node);
+      return out;
+    }
+
+    const isArray = Array.isArray(node);
+    const names = isArray ? null : Object.keys(node);
+    const length = isArray ? node.length : names.length;
+    let copy = null;
+    let removed = false;
+
+    for (let i = 0; i < length; i++) {
+      const key = isArray ? String(i) : names[i];
+      const value = node[key];
+      const next = visitEntry(key, value, trail, ancestors, !isArray);
+
+      if (next === value) continue;
+      if (copy === null) copy = isArray ? node.slice() : { ...node };
+      if (next === REMOVE) {
+        removed = true;
+        if (isArray) copy[i] = REMOVE;
+        else delete copy[key];
+      } else {
+        copy[isArray ? i : key] = next;
+      }
+    }
+
+    ancestors.delete(node);
+    if (copy === null) return node;
+    return removed && isArray ? copy.filter(item => item !== REMOVE) : copy;
+  };
+
+  return function redact(data) {
+    const out = visit(data, [], new Set());
+    // A bare string can't be removed from its entry, so it is masked instead
+    return out === REMOVE ? mask : out;
+  };
+}
+
+module.exports = { createRedactor, VALUE_PATTERNS };
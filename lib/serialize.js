@@ -0,0 +1,305 @@
+const DEFAULT_MAX_STACK_LINES = 50;
+const DEFAULT_MAX_STRING_LENGTH = 1000;
+const DEFAULT_MAX_BINARY_BYTES = 1024;
+const MAX_CAUSE_DEPTH = 10;
+const CIRCULAR = '[Circular]';
+const TYPE_KEY = '$type';
+const TRUNCATED_KEY = '...';
+
+// Serialized errors are remembered so string truncation can leave their
+// stacks alone; stacks are limited by line count instead
+const serializedErrors = new WeakSet();
+
+// Tags produced here, and escaped copies of user objects that happen to have
+// a $type key, must not be escaped again when a serializer revisits them
+const taggedValues = new WeakSet();
+const escapedObjects = new WeakSet();
+
+// Arrays and objects cut by the limits below, so their markers aren't
+// themselves truncated, and Map entry lists, whose [key, value] pairs aren't
+// arrays to limit
+const limitedValues = new WeakSet();
+const mapEntryLists = new WeakSet();
+
+function isError(value) {
+  return value instanceof Error || Object.prototype.toString.call(value) === '[object Error]';
+}
+
+function isSerializedError(value) {
+  return value !== null && typeof value === 'object' && serializedErrors.has(value);
+}
+
+function limitStack(stack, maxLines) {
+  if (typeof stack !== 'string') return stack;
+  const lines = stack.split('\n');
+  if (lines.length <= maxLines) return stack;
+  return lines.slice(0, maxLines).join('\n') + `\n    ... ${lines.length - maxLines} more lines`;
+}
+
+// Turns an Error into a plain object: name, message, stack (limited to
+// maxStackLines), code, own enumerable properties, AggregateError.errors and
+// the cause chain. Property values go through `cloneValue` so each logger
+// can apply its own sanitization; nested errors are handled here, with
+// `seen` guarding against cause cycles.
+function serializeError(err, cloneValue, options = {}, seen = new Set(), depth = 0) {
+  const clone = cloneValue || (value => value);
+  const maxStackLines = options.maxStackLines || DEFAULT_MAX_STACK_LINES;
+
+  const nested = (value) => {
+    if (!isError(value)) return clone(value);
+    if (seen.has(value)) return CIRCULAR;
+    if (depth >= MAX_CAUSE_DEPTH) return '[Truncated]';
+    return serializeError(value, clone, options, seen, depth + 1);
+  };
+
+  seen.add(err);
+  const out = { name: err.name, message: clone(err.message) };
+  if (err.stack !== undefined) out.stack = limitStack(err.stack, maxStackLines);
+  if (err.code !== undefined) out.code = clone(err.code);
+
+  for (const key of Object.keys(err)) {
+    if (key in out || key === 'errors' || key === 'cause') continue;
+    out[key] = nested(err[key]);
+  }
+
+  if (Array.isArray(err.errors)) {
+    out.errors = err.errors.map(nested);
+  }
+  if (err.cause !== undefined) {
+    out.cause = nested(err.cause);
+  }
+
+  seen.delete(err);
+  serializedErrors.add(out);
+  return out;
+}
+
+const truncatedItems = count => `[Truncated ${count} items]`;
+const truncatedKeys = count => `[Truncated ${count} keys]`;
+const truncatedDepth = value => Array.isArray(value) ? '[Truncated Array]' : '[Truncated Object]';
+
+// Copies at most `max` items through `clone`, ending with a marker for the rest
+function limitArray(items, max, clone) {
+  const length = Math.min(items.length, max);
+  const out = new Array(length);
+  for (let i = 0; i < length; i++) {
+    out[i] = clone(items[i]);
+  }
+  if (items.length > length) {
+    out.push(truncatedItems(items.length - length));
+    limitedValues.add(out);
+  }
+  return out;
+}
+
+// Copies at most `max` own enumerable keys, with the marker under "..."
+function limitKeys(obj, max, clone) {
+  const keys = Object.keys(obj);
+  const length = Math.min(keys.length, max);
+  const out = {};
+  for (let i = 0; i < length; i++) {
+    out[keys[i]] = clone(obj[keys[i]]);
+  }
+  if (keys.length > length) {
+    out[TRUNCATED_KEY] = truncatedKeys(keys.length - length);
+    limitedValues.add(out);
+  }
+  return out;
+}
+
+// For callers that cut arrays or objects themselves
+function markLimited(value) {
+  limitedValues.add(value);
+  return value;
+}
+
+function isMarker(holder, key) {
+  if (!limitedValues.has(holder)) return false;
+  return Array.isArray(holder) ? Number(key) === holder.length - 1 : key === TRUNCATED_KEY;
+}
+
+// True when the value was already cut to `max` by limitArray/limitKeys, so a
+// second pass (the bit-optimized flush) doesn't cut off the marker
+function isLimited(value, max) {
+  if (Array.isArray(value)) {
+    const last = value[max];
+    if (value.length !== max + 1) return false;
+    if (Array.isArray(last)) return last[0] === TRUNCATED_KEY;
+    return typeof last === 'string' && last.startsWith('[Truncated ');
+  }
+  return Object.prototype.hasOwnProperty.call(value, TRUNCATED_KEY) && Object.keys(value).length === max + 1;
+}
+
+// Collects Map/Set contents; past `max` the rest is summarized by a marker
+// (a ["...", marker] pair for Maps, so the decoded Map shows it too)
+function collect(iterable, size, max, convert, marker) {
+  const out = [];
+  for (const item of iterable) {
+    if (out.length >= max) break;
+    out.push(convert(item));
+  }
+  if (size > max) {
+    const last = marker(truncatedItems(size - max));
+    if (Array.isArray(last)) limitedValues.add(last);
+    out.push(last);
+    limitedValues.add(out);
+  }
+  return out;
+}
+
+// Replaces data whose JSON is larger than maxEntryBytes with a marker
+function limitEntryBytes(data, maxEntryBytes, replacer) {
+  if (!(maxEntryBytes < Infinity)) return data;
+  const json = JSON.stringify(data, replacer);
+  if (json === undefined) return data;
+  const bytes = Buffer.byteLength(json);
+  return bytes > maxEntryBytes ? `[Truncated ${bytes} bytes]` : data;
+}
+
+function tag(type, value, extra) {
+  const out = { [TYPE_KEY]: type, value };
+  if (extra !== undefined) Object.assign(out, extra);
+  taggedValues.add(out);
+  return out;
+}
+
+function isTagged(value) {
+  return value !== null && typeof value === 'object' && taggedValues.has(value);
+}
+
+// Binary data is stored as base64, cut at a whole element past maxBytes
+function encodeBinary(type, view, maxBytes) {
+  const bytes = Buffer.from(view.buffer, view.byteOffset, view.byteLength);
+  if (bytes.length <= maxBytes) return tag(type, bytes.toString('base64'));
+
+  const elementSize = view.BYTES_PER_ELEMENT || 1;
+  const kept = maxBytes - (maxBytes % elementSize);
+  return tag(type, bytes.subarray(0, kept).toString('base64'), { truncated: bytes.length });
+}
+
+// Tagged representation ({ "$type": ..., "value": ... }) for values JSON
+// cannot carry faithfully, or undefined for everything else. Map and Set
+// contents and escaped objects go through `cloneValue`. lib/reader.js decodes
+// these back into the original types.
+function encodeSpecial(value, cloneValue, options = {}) {
+  if (typeof value === 'bigint') return tag('BigInt', value.toString());
+  if (value === null || typeof value !== 'object') return undefined;
+
+  const clone = cloneValue || (v => v);
+  const maxBytes = options.maxBinaryBytes || DEFAULT_MAX_BINARY_BYTES;
+  const maxItems = options.maxArrayLength || Infinity;
+
+  if (value instanceof Date) {
+    return tag('Date', Number.isNaN(value.getTime()) ? null : value.toISOString());
+  }
+  if (value instanceof Map) {
+    const entries = collect(value, value.size, maxItems, ([k, v]) => [clone(k), clone(v)], marker => [TRUNCATED_KEY, marker]);
+    mapEntryLists.add(entries);
+    return tag('Map', entries);
+  }
+  if (value instanceof Set) {
+    return tag('Set', collect(value, value.size, maxItems, v => clone(v), marker => marker));
+  }
+  if (Buffer.isBuffer(value)) {
+    return encodeBinary('Buffer', value, maxBytes);
+  }
+  if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+    return encodeBinary(value.constructor.name, value, maxBytes);
+  }
+  if (value instanceof ArrayBuffer) {
+    return encodeBinary('ArrayBuffer', new Uint8Array(value), maxBytes);
+  }
+
+  if (options.escapeTags !== false &&
+      Object.prototype.hasOwnProperty.call(value, TYPE_KEY) &&
+      !taggedValues.has(value) && !escapedObjects.has(value)) {
+    // User data that looks like a tag is wrapped so decoding leaves it alone
+    const copy = {};
+    for (const key of Object.keys(value)) {
+      copy[key] = clone(value[key]);
+    }
+    escapedObjects.add(copy);
+    return tag('Object', copy);
+  }
+
+  return undefined;
+}
+
+// JSON.stringify replacer shared by the JSON round-trip sanitizers: tags
+// special types, serializes errors and applies the size limits (maxDepth,
+// maxKeys, maxArrayLength, and maxStringLength except for error stacks and
+// tagged values, which have their own limits)
+function createJsonReplacer(options = {}) {
+  const maxStringLength = options.maxStringLength || DEFAULT_MAX_STRING_LENGTH;
+  const maxDepth = options.maxDepth || Infinity;
+  const maxKeys = options.maxKeys || Infinity;
+  const maxArrayLength = options.maxArrayLength || Infinity;
+  const seenErrors = new Set();
+  // Depth of every object returned so far; the holder of the top-level value
+  // is JSON.stringify's own wrapper, which counts as depth 0
+  const depths = new WeakMap();
+
+  return function replacer(key, value) {
+    // `value` has already been through toJSON (Dates are strings, Buffers
+    // are { type, data }), so look at the raw property instead
+    const special = encodeSpecial(this[key], null, options);
+    if (special !== undefined) value = special;
+
+    if (typeof value === 'string') {
+      if (value.length > maxStringLength &&
+          !((key === 'stack' || key === 'name') && isSerializedError(this)) &&
+          !((key === 'value' || key === TYPE_KEY) && isTagged(this)) &&
+          !isMarker(this, key)) {
+        return value.slice(0, maxStringLength) + '...';
+      }
+      return value;
+    }
+    if (value === null || typeof value !== 'object') return value;
+
+    // A tag, its value and a Map's [key, value] pairs all stand for the one
+    // tagged value, so they share its depth like in the pooled logger
+    const parentDepth = depths.get(this) || 0;
+    const depth = (key === 'value' && isTagged(this)) || mapEntryLists.has(this) ? parentDepth : parentDepth + 1;
+    // A BigInt's tag is a scalar, not a level
+    if (depth > maxDepth && typeof this[key] !== 'bigint') return truncatedDepth(value);
+
+    if (isError(value)) {
+      // The replacer revisits everything it returns, so a repeated error
+      // would otherwise recurse forever
+      if (seenErrors.has(value)) return CIRCULAR;
+      seenErrors.add(value);
+      value = serializeError(value, null, options, new Set(seenErrors));
+    } else if (Array.isArray(value)) {
+      if (value.length > maxArrayLength && !isLimited(value, maxArrayLength) &&
+          !(key === 'value' && isTagged(this)) && !mapEntryLists.has(this)) {
+        value = limitArray(value, maxArrayLength, v => v);
+      }
+    } else if (maxKeys < Infinity && !isTagged(value) && !isLimited(value, maxKeys) && Object.keys(value).length > maxKeys) {
+      value = limitKeys(value, maxKeys, v => v);
+    }
+
+    depths.set(value, depth);
+    return value;
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_STACK_LINES,
+  DEFAULT_MAX_STRING_LENGTH,
+  DEFAULT_MAX_BINARY_BYTES,
+  TYPE_KEY,
+  TRUNCATED_KEY,
+  truncatedItems,
+  truncatedKeys,
+  truncatedDepth,
+  limitArray,
+  limitKeys,
+  markLimited,
+  limitEntryBytes,
+  isError,
+  isSerializedError,
+  isTagged,
+  serializeError,
+  encodeSpecial,
+  createJsonReplacer
+};
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { Writable } = require('stream');
+const { compileFilename } = require('./filenames');
+
+// A sink receives one record per flush: { reason, flushId, flushedAt, eventCount, json }.
+// write() may return a short description of where the flush went, which is
+// reported as one of the `flush` event's targets. Sinks used with asyncFlush may also
+// implement writeAsync() returning a promise of the same description.
+
+// Returns the error instead of printing it: the sink is built before anyone
+// can listen, so the error is thrown from write() and reported as flush-error
+function ensureDir(dir) {
+  try {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+let tmpCounter = 0;
+
+// Temp files live next to the target so the final rename stays on one filesystem
+function tempName(filename) {
+  return `${filename}.${process.pid}.${tmpCounter++}.tmp`;
+}
+
+function writeAtomic(filename, json, fsync) {
+  const tmp = tempName(filename);
+  try {
+    if (fsync) {
+      const fd = fs.openSync(tmp, 'w');
+      try {
+        fs.writeSync(fd, json);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } else {
+      fs.writeFileSync(tmp, json);
+    }
+    fs.renameSync(tmp, filename);
+  } catch (err) {
+    try {
+      fs.unlinkSync(tmp);
+    } catch {
+      // Nothing was written
+    }
+    throw err;
+  }
+}
+
+async function writeAtomicAsync(filename, json, fsync) {
+  const tmp = tempName(filename);
+  try {
+    if (fsync) {
+      const handle = await fs.promises.open(tmp, 'w');
+      try {
+        await handle.writeFile(json);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+    } else {
+      await fs.promises.writeFile(tmp, json);
+    }
+    await fs.promises.rename(tmp, filename);
+  } catch (err) {
+    await fs.promises.unlink(tmp).catch(() => {});
+    throw err;
+  }
+}
+
+// Default sink: one file per flush, named by the `filename` template
+// (log-{reason}-{flushId}.json unless configured). Files are written to a
+// temp name and renamed so readers never see half-written JSON.
+function fileSink(logDir = './logs', options = {}) {
+  const fsync = options.fsync !== false;
+  const nameFor = compileFilename(options.filename, options.runId);
+  let dirError = ensureDir(logDir);
+  // Tried again before each write, in case the directory can be made later
+  const checkDir = () => {
+    if (dirError !== null) dirError = ensureDir(logDir);
+    if (dirError !== null) throw dirError;
+  };
+
+  return {
+    type: 'file',
+    logDir,
+    write(record) {
+      checkDir();
+      const filename = path.join(logDir, nameFor(record));
+      writeAtomic(filename, record.json, fsync);
+      return filename;
+    },
+    async writeAsync(record) {
+      checkDir();
+      const filename = path.join(logDir, nameFor(record));
+      await writeAtomicAsync(filename, record.json, fsync);
+      return filename;
+    }
+  };
+}
+
+// Writes each flush to a Writable (stdout, a socket, ...) followed by a separator
+function streamSink(stream, options = {}) {
+  const separator = options.separator === undefined ? '\n' : options.separator;
+  const name = options.name || 'stream';
+
+  return {
+    type: 'stream',
+    stream,
+    write(record) {
+      stream.write(record.json + separator);
+      return name;
+    },
+    writeAsync(record) {
+      return new Promise((resolve, reject) => {
+        stream.write(record.json + separator, err => (err ? reject(err) : resolve(name)));
+      });
+    }
+  };
+}
+
+// Keeps parsed flush payloads in memory, handy for tests and admin endpoints
+function memorySink(options = {}) {
+  const limit = options.limit || Infinity;
+  const flushes = [];
+
+  return {
+    type: 'memory',
+    flushes,
+    write(record) {
+      flushes.push(JSON.parse(record.json));
+      if (flushes.length > limit) flushes.shift();
+      return 'memory';
+    },
+    clear() {
+      flushes.length = 0;
+    }
+  };
+}
+
+// Wraps a user function (record) => void
+function functionSink(fn) {
+  return {
+    type: 'function',
+    write(record) {
+      fn(record);
+      return fn.name || 'function';
+    },
+    async writeAsync(record) {
+      await fn(record);
+      return fn.name || 'function';
+    }
+  };
+}
+
+// Turns the `sinks` option into a list of sink objects. Without the option
+// the logger keeps its historical behavior of writing files into logDir.
+function createSinks(sinks, logDir, fileOptions) {
+  if (sinks === undefined || sinks === null) {
+    return [fileSink(logDir, fileOptions)];
+  }
+
+  const list = Array.isArray(sinks) ? sinks : [sinks];
+  return list.map(sink => {
+    if (typeof sink === 'function') return functionSink(sink);
+    if (sink instanceof Writable) return streamSink(sink);
+    if (sink && typeof sink.write === 'function') return sink;
+    throw new TypeError('Invalid sink: expected a function, a Writable stream or an object with write()');
+  });
+}
+
+// Fans a record out to every sink; one failing sink never stops the others
+function writeToSinks(sinks, record) {
+  const targets = [];
+  const errors = [];
+  for (let i = 0; i < sinks.length; i++) {
+    try {
+      const target = sinks[i].write(record);
+      if (target) targets.push(target);
+    } catch (err) {
+      errors.push(err);
+    }
+  }
+  return { targets, errors };
+}
+
+// Async fan-out: sinks run concurrently, results keep the same shape as writeToSinks
+async function writeToSinksAsync(sinks, record) {
+  const results = await Promise.allSettled(sinks.map(sink =>
+    typeof sink.writeAsync === 'function'
+      ? sink.writeAsync(record)
+      : new Promise(resolve => resolve(sink.write(record)))
+  ));
+
+  const targets = [];
+  const errors = [];
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      errors.push(result.reason);
+    } else if (result.value) {
+      targets.push(result.value);
+    }
+  }
+  return { targets, errors };
+}
+
+module.exports = {
+  fileSink,
+  streamSink,
+  memorySink,
+  functionSink,
+  createSinks,
+  writeToSinks,
+  writeToSinksAsync
+};
@@ -0,0 +1,57 @@
+// Rough JSON size of the envelope around an entry's data:
+// {"ts":"...","flushId":N,"event":"...","data":...,"incidentId":N}
+const ENTRY_OVERHEAD = 80;
+
+// Estimated serialized size of a value in bytes. Cheaper than
+// JSON.stringify and close enough for a memory budget: numbers count as 8
+// bytes, string length is in UTF-16 units, and values already on the current
+// path (cycles) are skipped.
+function estimateSize(value, ancestors = new Set()) {
+  switch (typeof value) {
+  case 'string':
+    return value.length + 2;
+  case 'number':
+    return 8;
+  case 'boolean':
+    return 5;
+  case 'bigint':
+    return value.toString().length + 30;
+  case 'object':
+    break;
+  default:
+    return 0;
+  }
+
+  if (value === null) return 4;
+  if (ancestors.has(value)) return 0;
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+    // Written as base64 inside a tag
+    return Math.ceil(value.byteLength * 4 / 3) + 30;
+  }
+  if (value instanceof Date) return 50;
+
+  ancestors.add(value);
+  let size = 2;
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      size += estimateSize(value[i], ancestors) + 1;
+    }
+  } else if (value instanceof Map || value instanceof Set) {
+    for (const item of value) {
+      size += estimateSize(item, ancestors) + 1;
+    }
+    size += 30;
+  } else {
+    for (const key of Object.keys(value)) {
+      size += key.length + 4 + estimateSize(value[key], ancestors);
+    }
+  }
+  ancestors.delete(value);
+  return size;
+}
+
+function estimateEntrySize(event, data) {
+  return ENTRY_OVERHEAD + String(event).length + estimateSize(data);
+}
+
+module.exports = { estimateSize, estimateEntrySize };
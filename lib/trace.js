@@ -0,0 +1,99 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// version-traceid-parentid-flags; future versions may append fields
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const TRACE_ID = /^[0-9a-f]{32}$/;
+const SPAN_ID = /^[0-9a-f]{16}$/;
+const ZERO_TRACE_ID = '0'.repeat(32);
+const ZERO_SPAN_ID = '0'.repeat(16);
+
+// Shared by every logger: the trace belongs to the async execution, not to
+// one logger
+const storage = new AsyncLocalStorage();
+
+// Parses a W3C traceparent header into { traceId, spanId, sampled }, or
+// returns null for anything invalid (which the spec says to ignore)
+function parseTraceparent(header) {
+  if (typeof header !== 'string') return null;
+  const match = TRACEPARENT.exec(header.trim());
+  if (match === null) return null;
+
+  const [, version, traceId, spanId, flags, rest] = match;
+  if (version === 'ff' || (version === '00' && rest !== undefined)) return null;
+  if (traceId === ZERO_TRACE_ID || spanId === ZERO_SPAN_ID) return null;
+
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+function isTraceContext(value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value.traceId === 'string' && TRACE_ID.test(value.traceId) && value.traceId !== ZERO_TRACE_ID &&
+    (value.spanId === undefined || (typeof value.spanId === 'string' && SPAN_ID.test(value.spanId)));
+}
+
+// Runs fn with a trace context: a traceparent header string, or an object
+// with traceId and optionally spanId. Headers that don't parse run fn
+// without one.
+function runWithTrace(context, fn) {
+  if (typeof context === 'string') {
+    const parsed = parseTraceparent(context);
+    return parsed === null ? fn() : storage.run(parsed, fn);
+  }
+  if (!isTraceContext(context)) {
+    throw new TypeError('trace context must be a traceparent header or { traceId, spanId }');
+  }
+  return storage.run(context, fn);
+}
+
+// Trace context of the current async execution, if any
+function currentTrace() {
+  return storage.getStore();
+}
+
+// The `traceContext` option: a function returning the active
+// { traceId, spanId } (e.g. from OpenTelemetry), defaulting to runWithTrace()
+function resolveTraceContext(option) {
+  if (option === undefined) return currentTrace;
+  if (typeof option !== 'function') {
+    throw new TypeError('traceContext must be a function');
+  }
+  return function traceContext() {
+    try {
+      return option();
+    } catch {
+      // Like trigger predicates, it must never break logging: no trace context
+      return undefined;
+    }
+  };
+}
+
+// Per-incident state: a correlation id generated when the incident opens and
+// the trace ids of its triggering entries, written at the top of every flush
+// the incident produces
+function openIncident() {
+  return { correlationId: crypto.randomUUID(), traceIds: [] };
+}
+
+function addIncidentTrace(incident, traceId) {
+  if (traceId !== undefined && traceId !== null && !incident.traceIds.includes(traceId)) {
+    incident.traceIds.push(traceId);
+  }
+}
+
+// Payload header for a flush, copied so later triggers don't change a queued write
+function incidentHeader(incident) {
+  return incident === null
+    ? { correlationId: null, traceIds: [] }
+    : { correlationId: incident.correlationId, traceIds: incident.traceIds.slice() };
+}
+
+module.exports = {
+  parseTraceparent,
+  runWithTrace,
+  currentTrace,
+  resolveTraceContext,
+  openIncident,
+  addIncidentTrace,
+  incidentHeader
+};
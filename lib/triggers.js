@@ -0,0 +1,73 @@
+const { toLevel, severityOf } = require('./levels');
+
+const DEFAULT_TRIGGERS = ['error'];
+
+// Normalizes the `triggers` constructor option into a policy shared by all
+// implementations. Accepted forms (arrays may mix them):
+//   'fatal'                              - a single event name
+//   ['error', 'db_timeout'] / Set        - event names
+//   (event, data) => boolean             - a predicate
+//   { events, when, minLevel }           - object form, minLevel is a name or number
+//
+// minLevel compares against the entry's level when the logger passes one,
+// otherwise against the event name or data.level.
+//
+// `events` is kept separate from `match` so the optimized loggers can check
+// names with their own fast lookup and only fall back to `match` for the rest.
+function createTriggerPolicy(spec = DEFAULT_TRIGGERS) {
+  const events = new Set();
+  const predicates = [];
+  let minLevel = null;
+
+  const add = (item) => {
+    if (item === null || item === undefined) return;
+
+    if (typeof item === 'string') {
+      events.add(item);
+    } else if (typeof item === 'function') {
+      predicates.push(item);
+    } else if (Array.isArray(item) || item instanceof Set) {
+      for (const child of item) add(child);
+    } else if (typeof item === 'object') {
+      add(item.events);
+      add(item.when);
+      if (item.minLevel !== undefined) {
+        const level = toLevel(item.minLevel);
+        if (level === null) {
+          throw new TypeError(`Unknown trigger level: ${item.minLevel}`);
+        }
+        minLevel = minLevel === null ? level : Math.min(minLevel, level);
+      }
+    } else {
+      throw new TypeError(`Invalid trigger policy: ${String(item)}`);
+    }
+  };
+
+  add(spec);
+
+  let match = null;
+  if (predicates.length > 0 || minLevel !== null) {
+    match = (event, data, level) => {
+      if (minLevel !== null) {
+        const severity = level !== undefined ? level : severityOf(event, data);
+        if (severity !== null && severity >= minLevel) return true;
+      }
+      for (let i = 0; i < predicates.length; i++) {
+        try {
+          if (predicates[i](event, data)) return true;
+        } catch {
+          // A throwing predicate must never break logging
+        }
+      }
+      return false;
+    };
+  }
+
+  return {
+    events,
+    match,
+    test: (event, data, level) => events.has(event) || (match !== null && match(event, data, level))
+  };
+}
+
+module.exports = { createTriggerPolicy, DEFAULT_TRIGGERS };
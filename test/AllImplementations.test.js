@@ -1,5 +1,9 @@
 const fs = require('fs');
 const path = require('path');
+const { PassThrough } = require('stream');
+const EventEmitter = require('events');
+const { memorySink } = require('../lib/sinks');
+const { decode, readFlushFile } = require('../lib/reader');
 
 // Import all three implementations
 const OriginalLogger = require('../index');
@@ -85,6 +89,24 @@ implementations.forEach(({ name, Logger, testDir }) => {
         expect(stats.capacity).toBeGreaterThanOrEqual(5); // Bit-optimized version may round up to power of 2
         expect(fs.existsSync(testDir)).toBe(true);
       });
+
+      test('options object', () => {
+        const memory = memorySink();
+        const fromObject = new Logger({ capacity: 4, logDir: testDir, sinks: [memory], postErrorEntries: 1 });
+
+        expect(fromObject.getStats().capacity).toBe(4);
+        expect(fromObject.logDir).toBe(testDir);
+        fromObject.error('failed');
+        fromObject.info('after');
+        expect(memory.flushes.map(f => f.reason)).toEqual(['pre-error-context', 'post-error-context']);
+      });
+
+      test('reports the implementation and pool in stats', () => {
+        const stats = logger.getStats();
+
+        expect(['original', 'pooled', 'bit']).toContain(stats.implementation);
+        expect(stats.poolSize === null || Number.isInteger(stats.poolSize)).toBe(true);
+      });
     });
 
     describe('Basic Logging', () => {
@@ -195,6 +217,557 @@ implementations.forEach(({ name, Logger, testDir }) => {
       });
     });
 
+    describe('Trigger Policies', () => {
+      const flushedFiles = (dir) => fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+
+      test('custom event names trigger a flush', () => {
+        const triggerLogger = new Logger(5, testDir, { triggers: ['fatal', 'payment_failed'] });
+
+        triggerLogger.log('info', { step: 1 });
+        triggerLogger.log('error', { message: 'not a trigger here' });
+        expect(flushedFiles(testDir)).toHaveLength(0);
+
+        triggerLogger.log('payment_failed', { orderId: 'ord-1' });
+        expect(triggerLogger.getStats().errorSeen).toBe(true);
+        expect(flushedFiles(testDir).some(f => f.includes('pre-error-context-0'))).toBe(true);
+      });
+
+      test('predicate over event and data', () => {
+        const triggerLogger = new Logger(5, testDir, {
+          triggers: (event, data) => event === 'response' && data.status >= 500
+        });
+
+        triggerLogger.log('response', { status: 200 });
+        triggerLogger.log('response', { status: 404 });
+        expect(triggerLogger.getStats().errorSeen).toBe(false);
+
+        triggerLogger.log('response', { status: 503 });
+        expect(triggerLogger.getStats().errorSeen).toBe(true);
+
+        const content = JSON.parse(fs.readFileSync(path.join(testDir, flushedFiles(testDir)[0]), 'utf8'));
+        expect(content.events).toHaveLength(3);
+      });
+
+      test('severity threshold', () => {
+        const triggerLogger = new Logger(5, testDir, { triggers: { minLevel: 'error' } });
+
+        triggerLogger.log('warn', { message: 'slow query' });
+        triggerLogger.log('db_timeout', { level: 'info' });
+        expect(triggerLogger.getStats().errorSeen).toBe(false);
+
+        triggerLogger.log('db_timeout', { level: 'fatal' });
+        expect(triggerLogger.getStats().errorSeen).toBe(true);
+      });
+
+      test('mixed policies and throwing predicates', () => {
+        const triggerLogger = new Logger(5, testDir, {
+          triggers: [
+            'fatal',
+            () => { throw new Error('bad predicate'); },
+            { when: (event) => event.startsWith('alert.') }
+          ]
+        });
+
+        expect(() => triggerLogger.log('info', {})).not.toThrow();
+        expect(triggerLogger.getStats().errorSeen).toBe(false);
+
+        triggerLogger.log('alert.disk', { free: 0 });
+        expect(triggerLogger.getStats().errorSeen).toBe(true);
+      });
+
+      test('empty policy never triggers', () => {
+        const triggerLogger = new Logger(5, testDir, { triggers: [] });
+
+        triggerLogger.log('error', { message: 'ignored' });
+        expect(triggerLogger.getStats().errorSeen).toBe(false);
+        expect(flushedFiles(testDir)).toHaveLength(0);
+      });
+    });
+
+    describe('Post-Error Window', () => {
+      const readFlush = (dir, reason) => {
+        const file = fs.readdirSync(dir).find(f => f.includes(reason));
+        return file ? JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) : null;
+      };
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test('closes after the configured number of entries', () => {
+        const windowLogger = new Logger(16, testDir, { postErrorEntries: 3 });
+
+        windowLogger.log('error', { message: 'boom' });
+        windowLogger.log('info', { step: 1 });
+        windowLogger.log('info', { step: 2 });
+        expect(readFlush(testDir, 'post-error-context')).toBeNull();
+
+        windowLogger.log('info', { step: 3 });
+        const content = readFlush(testDir, 'post-error-context');
+        expect(content.events.map(e => e.data.step)).toEqual([1, 2, 3]);
+        expect(windowLogger.getStats().errorSeen).toBe(false);
+        expect(windowLogger.getStats().flushId).toBe(2);
+      });
+
+      test('closes on a timer when traffic stops', () => {
+        jest.useFakeTimers();
+        const windowLogger = new Logger(16, testDir, { postErrorMs: 500 });
+
+        windowLogger.log('error', { message: 'boom' });
+        windowLogger.log('info', { step: 1 });
+
+        jest.advanceTimersByTime(499);
+        expect(readFlush(testDir, 'post-error-context')).toBeNull();
+
+        jest.advanceTimersByTime(1);
+        const content = readFlush(testDir, 'post-error-context');
+        expect(content.events).toHaveLength(1);
+        expect(windowLogger.getStats().errorSeen).toBe(false);
+      });
+
+      test('whichever limit comes first wins', () => {
+        jest.useFakeTimers();
+        const windowLogger = new Logger(16, testDir, { postErrorEntries: 2, postErrorMs: 500 });
+
+        windowLogger.log('error', {});
+        windowLogger.log('info', {});
+        windowLogger.log('info', {});
+        expect(windowLogger.getStats().flushId).toBe(2);
+
+        // The timer was cancelled with the entry-count flush
+        jest.advanceTimersByTime(1000);
+        expect(windowLogger.getStats().flushId).toBe(2);
+        expect(fs.readdirSync(testDir)).toHaveLength(2);
+      });
+
+      test('entry window is capped at capacity', () => {
+        const windowLogger = new Logger(4, testDir, { postErrorEntries: 100 });
+        const capacity = windowLogger.getStats().capacity;
+
+        windowLogger.log('error', {});
+        for (let i = 0; i < capacity; i++) {
+          windowLogger.log('info', { step: i });
+        }
+
+        expect(readFlush(testDir, 'post-error-context').events).toHaveLength(capacity);
+      });
+
+      test('rejects invalid window options', () => {
+        expect(() => new Logger(4, testDir, { postErrorEntries: -1 })).toThrow(TypeError);
+        expect(() => new Logger(4, testDir, { postErrorMs: 'soon' })).toThrow(TypeError);
+      });
+    });
+
+    describe('Overlapping Incidents', () => {
+      const readFlushes = (dir) => fs.readdirSync(dir)
+        .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')))
+        .sort((a, b) => a.flushId - b.flushId);
+
+      test('each trigger gets an incident id listed in the flush', () => {
+        const incidentLogger = new Logger(16, testDir, { postErrorEntries: 6 });
+
+        incidentLogger.log('info', { step: 'before' });
+        incidentLogger.log('error', { message: 'first' });
+        incidentLogger.log('info', {});
+        incidentLogger.log('error', { message: 'second' });
+        incidentLogger.log('info', {});
+        incidentLogger.log('error', { message: 'third' });
+        for (let i = 0; i < 6; i++) {
+          incidentLogger.log('info', { recovery: i });
+        }
+
+        const [pre, post] = readFlushes(testDir);
+        expect(pre.incidents).toEqual([
+          expect.objectContaining({ incidentId: 1, event: 'error', position: 1 })
+        ]);
+        expect(pre.events[1].incidentId).toBe(1);
+
+        expect(post.reason).toBe('post-error-context');
+        expect(post.incidents.map(i => [i.incidentId, i.position])).toEqual([[2, 1], [3, 3]]);
+        expect(post.events[3].data.message).toBe('third');
+        expect(incidentLogger.getStats().incidentId).toBe(3);
+      });
+
+      test('overlapping trigger extends the post-error window', () => {
+        const incidentLogger = new Logger(16, testDir, { postErrorEntries: 3 });
+
+        incidentLogger.log('error', {});
+        incidentLogger.log('info', {});
+        incidentLogger.log('info', {});
+        incidentLogger.log('error', {});
+        incidentLogger.log('info', {});
+        incidentLogger.log('info', {});
+        expect(incidentLogger.getStats().errorSeen).toBe(true);
+
+        incidentLogger.log('info', {});
+        expect(incidentLogger.getStats().errorSeen).toBe(false);
+        expect(readFlushes(testDir)[1].events).toHaveLength(6);
+      });
+
+      test('extended window chains into another file instead of wrapping', () => {
+        const incidentLogger = new Logger(8, testDir);
+
+        incidentLogger.log('error', {});
+        for (let i = 0; i < 5; i++) incidentLogger.log('info', { i });
+        incidentLogger.log('error', { message: 'second' });
+        incidentLogger.log('info', {});
+        incidentLogger.log('info', {});
+
+        // Ring filled up with window entries: chained flush, window still open
+        let flushes = readFlushes(testDir);
+        expect(flushes).toHaveLength(2);
+        expect(flushes[1].events).toHaveLength(8);
+        expect(flushes[1].incidents).toEqual([expect.objectContaining({ incidentId: 2, position: 5 })]);
+        expect(incidentLogger.getStats().errorSeen).toBe(true);
+
+        for (let i = 0; i < 5; i++) incidentLogger.log('info', {});
+        flushes = readFlushes(testDir);
+        expect(flushes).toHaveLength(3);
+        expect(flushes[2].events).toHaveLength(5);
+        expect(incidentLogger.getStats().errorSeen).toBe(false);
+      });
+    });
+
+    describe('Flush Sinks', () => {
+      test('fans out to memory, stream and function sinks', () => {
+        const memory = memorySink();
+        const stream = new PassThrough();
+        const records = [];
+        const sinkLogger = new Logger(8, testDir, {
+          sinks: [memory, stream, (record) => records.push(record)]
+        });
+
+        sinkLogger.log('info', { step: 1 });
+        sinkLogger.log('error', { message: 'boom' });
+
+        expect(memory.flushes).toHaveLength(1);
+        expect(memory.flushes[0].reason).toBe('pre-error-context');
+        expect(memory.flushes[0].events).toHaveLength(2);
+
+        const written = stream.read().toString();
+        expect(written.endsWith('\n')).toBe(true);
+        expect(JSON.parse(written).flushId).toBe(0);
+
+        expect(records).toHaveLength(1);
+        expect(records[0]).toMatchObject({ reason: 'pre-error-context', flushId: 0, eventCount: 2 });
+
+        // Custom sinks replace the default file sink
+        expect(fs.existsSync(testDir) ? fs.readdirSync(testDir) : []).toHaveLength(0);
+      });
+
+      test('a failing sink does not stop the others', () => {
+        const memory = memorySink();
+        const sinkLogger = new Logger(8, testDir, {
+          sinks: [() => { throw new Error('socket closed'); }, memory]
+        });
+
+        expect(() => sinkLogger.log('error', {})).not.toThrow();
+        expect(memory.flushes).toHaveLength(1);
+      });
+
+      test('filename template keeps separate runs from colliding', () => {
+        const options = { filename: 'log-{reason}-{flushId}-{runId}.json' };
+        const first = new Logger(8, testDir, options);
+        const second = new Logger(8, testDir, options);
+
+        first.log('error', { run: 1 });
+        second.log('error', { run: 2 });
+
+        const files = fs.readdirSync(testDir).sort();
+        expect(files).toHaveLength(2);
+        expect(files).toContain(`log-pre-error-context-0-${first.getStats().runId}.json`);
+        expect(files.every(f => !f.endsWith('.tmp'))).toBe(true);
+      });
+
+      test('rejects invalid sinks', () => {
+        expect(() => new Logger(8, testDir, { sinks: [42] })).toThrow(TypeError);
+      });
+    });
+
+    describe('Events', () => {
+      test('emits flush with the file, event count and duration, and prints nothing', () => {
+        const flushes = [];
+        logger.on('flush', flush => flushes.push(flush));
+        console.log.mockClear();
+
+        logger.log('info', {});
+        logger.log('error', {});
+
+        expect(logger).toBeInstanceOf(EventEmitter);
+        expect(flushes).toEqual([{
+          reason: 'pre-error-context',
+          flushId: 0,
+          flushedAt: expect.any(String),
+          eventCount: 2,
+          targets: [path.join(testDir, 'log-pre-error-context-0.json')],
+          filename: path.join(testDir, 'log-pre-error-context-0.json'),
+          duration: expect.any(Number)
+        }]);
+        expect(console.log).not.toHaveBeenCalled();
+      });
+
+      test('emits flush-error for each failing sink', () => {
+        const failures = [];
+        const failing = new Logger(8, testDir, { sinks: [() => { throw new Error('socket closed'); }, memorySink()] });
+        failing.on('flush-error', failure => failures.push(failure));
+
+        failing.log('error', {});
+
+        expect(failures).toHaveLength(1);
+        expect(failures[0]).toMatchObject({ reason: 'pre-error-context', flushId: 0, error: { message: 'socket closed' } });
+      });
+
+      test('reportToConsole prints the status lines', () => {
+        const reporting = new Logger(8, testDir, { sinks: [memorySink(), () => { throw new Error('nope'); }], reportToConsole: true });
+        console.log.mockClear();
+        console.error.mockClear();
+
+        reporting.log('error', {});
+
+        expect(console.log).toHaveBeenCalledWith('Flushed pre-error-context (0) -> memory');
+        expect(console.error).toHaveBeenCalledWith('Flush failed:', expect.any(Error));
+      });
+
+      test('emits trigger for each triggering entry', () => {
+        const triggers = [];
+        const memory = memorySink();
+        const triggering = new Logger(8, testDir, { sinks: [memory] });
+        triggering.on('trigger', trigger => triggers.push(trigger));
+
+        triggering.log('info', {});
+        triggering.log('error', {});
+        triggering.fatal('crashed');
+
+        expect(triggers).toEqual([
+          { event: 'error', level: 50, incidentId: 1, correlationId: memory.flushes[0].correlationId, traceId: null },
+          { event: 'crashed', level: 60, incidentId: 2, correlationId: memory.flushes[0].correlationId, traceId: null }
+        ]);
+      });
+
+      test('emits drop for entries under the level and evicted by the byte budget', () => {
+        const drops = [];
+        const budgeted = new Logger(8, testDir, { level: 'info', maxBytes: 400 });
+        budgeted.on('drop', drop => drops.push(drop));
+
+        budgeted.debug('noise');
+        budgeted.info('big', { text: 'x'.repeat(150) });
+        budgeted.info('big', { text: 'x'.repeat(150) });
+        budgeted.info('big', { text: 'x'.repeat(150) });
+
+        expect(drops[0]).toEqual({ reason: 'level', event: 'noise', level: 20 });
+        expect(drops.slice(1).length).toBeGreaterThan(0);
+        expect(drops.slice(1).every(d => d.reason === 'budget' && d.event === 'big')).toBe(true);
+      });
+
+      test('emits wrap when the ring starts over', () => {
+        const wraps = [];
+        logger.on('wrap', wrap => wraps.push(wrap));
+        const capacity = logger.getStats().capacity;
+
+        for (let i = 0; i < capacity * 2; i++) logger.log('info', { i });
+
+        expect(wraps).toEqual([{ capacity, flushId: 0 }, { capacity, flushId: 0 }]);
+      });
+    });
+
+    describe('Async Flush', () => {
+      test('writes off the log() call and resolves flushed', async() => {
+        const asyncLogger = new Logger(8, testDir, { asyncFlush: true });
+
+        asyncLogger.log('info', { step: 1 });
+        asyncLogger.log('error', { message: 'boom' });
+
+        expect(fs.readdirSync(testDir)).toHaveLength(0);
+        expect(asyncLogger.getStats().pendingFlushes).toBe(1);
+
+        await asyncLogger.flushed;
+
+        expect(asyncLogger.getStats().pendingFlushes).toBe(0);
+        const content = JSON.parse(fs.readFileSync(path.join(testDir, 'log-pre-error-context-0.json'), 'utf8'));
+        expect(content.events.map(e => e.event)).toEqual(['info', 'error']);
+        expect(content.events[1].data).toEqual({ message: 'boom' });
+      });
+
+      test('keeps pre- and post-error flushes in order', async() => {
+        const order = [];
+        const slowSink = async(record) => {
+          // The first (pre-error) write is the slowest
+          await new Promise(resolve => setTimeout(resolve, record.flushId === 0 ? 20 : 0));
+          order.push(record.reason);
+        };
+        const asyncLogger = new Logger(8, testDir, { asyncFlush: true, postErrorEntries: 1, sinks: [slowSink] });
+
+        asyncLogger.log('error', {});
+        asyncLogger.log('info', {});
+        await asyncLogger.flushed;
+
+        expect(order).toEqual(['pre-error-context', 'post-error-context']);
+      });
+
+      test('snapshot is taken at trigger time', async() => {
+        const memory = memorySink();
+        const asyncLogger = new Logger(8, testDir, { asyncFlush: true, sinks: [memory] });
+
+        asyncLogger.log('info', { before: true });
+        asyncLogger.log('error', {});
+        asyncLogger.log('info', { after: true });
+        await asyncLogger.flushed;
+
+        expect(memory.flushes[0].events.map(e => e.data)).toEqual([{ before: true }, {}]);
+      });
+
+      test('failed async writes are reported, not thrown', async() => {
+        const asyncLogger = new Logger(8, testDir, {
+          asyncFlush: true,
+          sinks: [async() => { throw new Error('network down'); }]
+        });
+
+        const failures = [];
+        asyncLogger.on('flush-error', failure => failures.push(failure));
+
+        asyncLogger.log('error', {});
+        await expect(asyncLogger.flushed).resolves.toBeUndefined();
+        expect(failures).toEqual([{ reason: 'pre-error-context', flushId: 0, error: expect.any(Error) }]);
+      });
+    });
+
+    describe('Process Handlers', () => {
+      let handlerLogger;
+      let kill;
+
+      beforeEach(() => {
+        kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+      });
+
+      afterEach(() => {
+        handlerLogger.removeProcessHandlers();
+        kill.mockRestore();
+      });
+
+      test('uncaught exceptions flush the ring with the exception recorded', () => {
+        const memory = memorySink();
+        handlerLogger = new Logger(8, testDir, { sinks: [memory] }).installProcessHandlers();
+
+        handlerLogger.log('info', { step: 1 });
+        process.emit('uncaughtExceptionMonitor', new TypeError('kaboom'), 'uncaughtException');
+
+        expect(memory.flushes).toHaveLength(1);
+        const flush = memory.flushes[0];
+        expect(flush.reason).toBe('crash-uncaught-exception');
+        expect(flush.events.map(e => e.event)).toEqual(['info', 'uncaughtException']);
+        expect(flush.events[1].data.error).toMatchObject({ name: 'TypeError', message: 'kaboom' });
+      });
+
+      test('unhandled rejections use their own reason, even with asyncFlush', () => {
+        const memory = memorySink();
+        handlerLogger = new Logger(8, testDir, { sinks: [memory], asyncFlush: true }).installProcessHandlers();
+
+        process.emit('uncaughtExceptionMonitor', 'plain reason', 'unhandledRejection');
+
+        // Written synchronously because the process is about to exit
+        expect(memory.flushes).toHaveLength(1);
+        expect(memory.flushes[0].reason).toBe('crash-unhandled-rejection');
+        expect(memory.flushes[0].events[0].data.error).toBe('plain reason');
+      });
+
+      test('signals flush and re-raise once nobody else listens', async() => {
+        const memory = memorySink();
+        handlerLogger = new Logger(8, testDir, { sinks: [memory], asyncFlush: true })
+          .installProcessHandlers({ signals: ['SIGUSR2'] });
+
+        handlerLogger.log('info', {});
+        process.emit('SIGUSR2');
+        await handlerLogger.flushed;
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(memory.flushes[0].reason).toBe('shutdown-sigusr2');
+        expect(memory.flushes[0].events[1]).toMatchObject({ event: 'shutdown', data: { signal: 'SIGUSR2' } });
+        expect(kill).toHaveBeenCalledWith(process.pid, 'SIGUSR2');
+        expect(process.listenerCount('SIGUSR2')).toBe(0);
+      });
+
+      test('installing twice is a no-op and removal detaches everything', () => {
+        const before = process.listenerCount('uncaughtExceptionMonitor');
+        handlerLogger = new Logger(8, testDir, { sinks: [memorySink()] });
+
+        handlerLogger.installProcessHandlers().installProcessHandlers();
+        expect(process.listenerCount('uncaughtExceptionMonitor')).toBe(before + 1);
+
+        handlerLogger.removeProcessHandlers();
+        expect(process.listenerCount('uncaughtExceptionMonitor')).toBe(before);
+        expect(process.listenerCount('SIGTERM')).toBe(0);
+      });
+    });
+
+    describe('Flush and Close API', () => {
+      test('flush(reason) dumps and clears the buffer', async() => {
+        const memory = memorySink();
+        const apiLogger = new Logger(8, testDir, { sinks: [memory] });
+
+        apiLogger.log('info', { step: 1 });
+        await apiLogger.flush('admin-dump');
+
+        expect(memory.flushes[0]).toMatchObject({ reason: 'admin-dump', flushId: 0 });
+        expect(memory.flushes[0].events).toHaveLength(1);
+        expect(apiLogger.getCurrentBuffer()).toHaveLength(0);
+        expect(apiLogger.getStats().flushId).toBe(1);
+      });
+
+      test('flush with clear: false keeps the buffer', () => {
+        const memory = memorySink();
+        const apiLogger = new Logger(8, testDir, { sinks: [memory] });
+
+        apiLogger.log('info', { step: 1 });
+        apiLogger.flush('peek', { clear: false });
+        apiLogger.flush();
+
+        expect(memory.flushes.map(f => [f.reason, f.events.length])).toEqual([['peek', 1], ['manual', 1]]);
+      });
+
+      test('close flushes an open post-error window and drains async writes', async() => {
+        const memory = memorySink();
+        const apiLogger = new Logger(8, testDir, { sinks: [memory], asyncFlush: true });
+
+        apiLogger.log('error', {});
+        apiLogger.log('info', { after: true });
+        await apiLogger.close();
+
+        expect(memory.flushes.map(f => f.reason)).toEqual(['pre-error-context', 'post-error-context']);
+        expect(memory.flushes[1].events[0].data).toEqual({ after: true });
+        expect(apiLogger.getStats()).toMatchObject({ closed: true, errorSeen: false, pendingFlushes: 0 });
+      });
+
+      test('close drops further logging and is idempotent', async() => {
+        const memory = memorySink();
+        const apiLogger = new Logger(8, testDir, { sinks: [memory] });
+        const drops = [];
+        apiLogger.on('drop', drop => drops.push(drop));
+
+        const closing = apiLogger.close();
+        expect(apiLogger.close()).toBe(closing);
+        await closing;
+
+        expect(() => apiLogger.log('info', {})).not.toThrow();
+        apiLogger.error('late');
+        expect(drops).toEqual([
+          { reason: 'closed', event: 'info', level: 30 },
+          { reason: 'closed', event: 'late', level: 50 }
+        ]);
+        expect(apiLogger.getCurrentBuffer()).toEqual([]);
+        expect(memory.flushes).toEqual([]);
+      });
+
+      test('close without an open window writes nothing', async() => {
+        const memory = memorySink();
+        const apiLogger = new Logger(8, testDir, { sinks: [memory] });
+
+        apiLogger.log('info', {});
+        await apiLogger.close();
+
+        expect(memory.flushes).toHaveLength(0);
+      });
+    });
+
     describe('Data Sanitization', () => {
       test('should handle null and undefined data', () => {
         logger.log('test', null);
@@ -226,6 +799,39 @@ implementations.forEach(({ name, Logger, testDir }) => {
         expect(buffer[0].data).toBeDefined();
       });
 
+      test('nested circular references are handled when logged', () => {
+        const memory = memorySink();
+        const cyclic = new Logger(4, testDir, { sinks: [memory] });
+        const errors = [];
+        cyclic.on('flush-error', e => errors.push(e));
+        const parent = { name: 'parent', child: {} };
+        parent.child.parent = parent;
+
+        cyclic.info('cycle', parent);
+        expect(() => JSON.stringify(cyclic.getCurrentBuffer()[0].data)).not.toThrow();
+        cyclic.flush();
+
+        expect(errors).toEqual([]);
+        expect(memory.flushes[0].events[0].event).toBe('cycle');
+      });
+
+      test('captures nested data as it was when logged', () => {
+        const memory = memorySink();
+        const capture = new Logger(4, testDir, { sinks: [memory] });
+        const data = { user: { name: 'ada', roles: ['admin'] }, when: new Date(0) };
+
+        capture.info('snapshot', data);
+        data.user.name = 'grace';
+        data.user.roles.push('owner');
+        data.when.setTime(1000);
+        capture.flush();
+
+        expect(memory.flushes[0].events[0].data).toEqual({
+          user: { name: 'ada', roles: ['admin'] },
+          when: { $type: 'Date', value: '1970-01-01T00:00:00.000Z' }
+        });
+      });
+
       test('should handle complex nested objects', () => {
         const complexObj = {
           level1: {
@@ -251,6 +857,708 @@ implementations.forEach(({ name, Logger, testDir }) => {
       });
     });
 
+    describe('Error Serialization', () => {
+      test('keeps name, message, stack, code and own properties', () => {
+        const err = new RangeError('out of bounds');
+        err.code = 'E_RANGE';
+        err.details = { index: 12 };
+
+        logger.log('error-report', { err });
+
+        const serialized = logger.getCurrentBuffer()[0].data.err;
+        expect(serialized).toMatchObject({
+          name: 'RangeError',
+          message: 'out of bounds',
+          code: 'E_RANGE',
+          details: { index: 12 }
+        });
+        expect(serialized.stack.split('\n')[0]).toBe('RangeError: out of bounds');
+      });
+
+      test('errors logged directly as data', () => {
+        logger.log('error-report', new Error('direct'));
+        expect(logger.getCurrentBuffer()[0].data).toMatchObject({ name: 'Error', message: 'direct' });
+      });
+
+      test('follows cause chains and AggregateError.errors', () => {
+        const root = new Error('socket hang up');
+        const wrapped = new Error('query failed', { cause: root });
+        const aggregate = new AggregateError([wrapped, new Error('second')], 'all failed');
+
+        logger.log('error-report', { aggregate });
+
+        const serialized = logger.getCurrentBuffer()[0].data.aggregate;
+        expect(serialized.name).toBe('AggregateError');
+        expect(serialized.errors.map(e => e.message)).toEqual(['query failed', 'second']);
+        expect(serialized.errors[0].cause).toMatchObject({ message: 'socket hang up' });
+      });
+
+      test('cyclic cause chains are marked instead of crashing', () => {
+        const a = new Error('a');
+        const b = new Error('b', { cause: a });
+        a.cause = b;
+
+        logger.log('error-report', { a });
+
+        const serialized = logger.getCurrentBuffer()[0].data.a;
+        expect(serialized.cause.message).toBe('b');
+        expect(serialized.cause.cause).toBe('[Circular]');
+      });
+
+      test('stacks are limited by lines, not string length', () => {
+        const stackLogger = new Logger(8, testDir, { maxStackLines: 3 });
+        const err = new Error('deep');
+        err.stack = ['Error: deep', ...Array.from({ length: 40 }, (_, i) => `    at frame${i} (${'x'.repeat(60)}.js:1:1)`)].join('\n');
+
+        stackLogger.log('error-report', { err });
+
+        const lines = stackLogger.getCurrentBuffer()[0].data.err.stack.split('\n');
+        expect(lines).toHaveLength(4);
+        expect(lines[3]).toBe('    ... 38 more lines');
+
+        logger.log('error-report', { err });
+        expect(logger.getCurrentBuffer()[0].data.err.stack.length).toBeGreaterThan(1003);
+      });
+
+      test('serialized errors survive the flush file', () => {
+        logger.log('error', { err: new Error('boom', { cause: new Error('root') }) });
+
+        const content = JSON.parse(fs.readFileSync(path.join(testDir, 'log-pre-error-context-0.json'), 'utf8'));
+        expect(content.events[0].data.err).toMatchObject({ message: 'boom', cause: { message: 'root' } });
+      });
+    });
+
+    describe('Redaction', () => {
+      test('redacts paths, keys and values before entries enter the ring', () => {
+        const redactLogger = new Logger(10, testDir, {
+          redact: { paths: ['req.headers.authorization', '*.password'], keys: [/token/i], values: ['card'] }
+        });
+        const req = { headers: { authorization: 'Bearer abc', host: 'example.com' } };
+
+        redactLogger.log('request', {
+          req,
+          user: { name: 'ann', password: 'hunter2' },
+          session: { refreshToken: 'r1' },
+          note: 'card 4111-1111-1111-1111'
+        });
+        redactLogger.log('error', { message: 'boom' });
+
+        const content = JSON.parse(fs.readFileSync(path.join(testDir, 'log-pre-error-context-0.json'), 'utf8'));
+        expect(content.events[0].data).toEqual({
+          req: { headers: { authorization: '[Redacted]', host: 'example.com' } },
+          user: { name: 'ann', password: '[Redacted]' },
+          session: { refreshToken: '[Redacted]' },
+          note: 'card [Redacted]'
+        });
+        // The caller's objects are left alone
+        expect(req.headers.authorization).toBe('Bearer abc');
+      });
+
+      test('redacts inside errors and nested values', () => {
+        const redactLogger = new Logger(10, testDir, { redact: { keys: ['authorization'], mode: 'hash', salt: 'k' } });
+        const err = new Error('request failed');
+        err.config = { headers: { authorization: 'Bearer abc' } };
+
+        redactLogger.log('http', { outer: { err } });
+
+        const data = redactLogger.getCurrentBuffer()[0].data;
+        expect(data.outer.err.message).toBe('request failed');
+        expect(data.outer.err.config.headers.authorization).toMatch(/^sha256:/);
+      });
+
+      test('redacts user data with a $type key and Map keys', () => {
+        const redactLogger = new Logger(10, testDir, {
+          redact: { paths: ['req.headers.authorization'], keys: ['password'] }
+        });
+
+        redactLogger.log('login', {
+          user: { $type: 'customer', password: 'hunter2' },
+          lookalike: { $type: 'Date', password: 'hunter2' },
+          form: new Map([['password', 'hunter2'], ['name', 'ada']]),
+          req: { headers: new Map([['authorization', 'Bearer abc'], ['host', 'example.com']]) }
+        });
+
+        const data = redactLogger.getCurrentBuffer()[0].data;
+        expect(data.user.value).toEqual({ $type: 'customer', password: '[Redacted]' });
+        expect(data.lookalike.value).toEqual({ $type: 'Date', password: '[Redacted]' });
+        expect(data.form.value).toEqual([['password', '[Redacted]'], ['name', 'ada']]);
+        expect(data.req.headers.value).toEqual([['authorization', '[Redacted]'], ['host', 'example.com']]);
+      });
+
+      test('rejects invalid redact options', () => {
+        expect(() => new Logger(10, testDir, { redact: { paths: ['a'], mode: 'nope' } })).toThrow(TypeError);
+      });
+    });
+
+    describe('Sanitization Limits', () => {
+      const readFlush = () => JSON.parse(fs.readFileSync(path.join(testDir, 'log-pre-error-context-0.json'), 'utf8'));
+
+      test('caps array length, key count and string length with markers', () => {
+        const limitLogger = new Logger(10, testDir, { maxArrayLength: 3, maxKeys: 2, maxStringLength: 5 });
+
+        limitLogger.log('error', {
+          items: new Array(5000).fill(1),
+          nested: { a: 1, b: 2, c: 3, d: 4 },
+          text: 'abcdefgh'
+        });
+
+        const data = readFlush().events[0].data;
+        expect(data.items).toEqual([1, 1, 1, '[Truncated 4997 items]']);
+        expect(data.nested).toEqual({ a: 1, b: 2, '...': '[Truncated 2 keys]' });
+        expect(data['...']).toBe('[Truncated 1 keys]');
+        expect(data.text).toBeUndefined();
+      });
+
+      test('caps nesting depth', () => {
+        const limitLogger = new Logger(10, testDir, { maxDepth: 2 });
+
+        limitLogger.log('error', { a: { b: { c: 1 }, list: [[1]] } });
+
+        expect(readFlush().events[0].data).toEqual({
+          a: { b: '[Truncated Object]', list: '[Truncated Array]' }
+        });
+      });
+
+      test('caps Map and Set sizes with maxArrayLength', () => {
+        const limitLogger = new Logger(10, testDir, { maxArrayLength: 1 });
+
+        limitLogger.log('error', { m: new Map([['a', 1], ['b', 2]]), s: new Set([1, 2, 3]) });
+
+        const data = readFlushFile(path.join(testDir, 'log-pre-error-context-0.json')).events[0].data;
+        expect(data.m).toEqual(new Map([['a', 1], ['...', '[Truncated 1 items]']]));
+        expect(data.s).toEqual(new Set([1, '[Truncated 2 items]']));
+      });
+
+      test('replaces entries larger than maxEntryBytes', () => {
+        const limitLogger = new Logger(10, testDir, { maxEntryBytes: 100 });
+
+        limitLogger.log('small', { ok: true });
+        limitLogger.log('big', { blob: 'x'.repeat(500) });
+
+        const buffer = limitLogger.getCurrentBuffer();
+        expect(buffer[0].data).toEqual({ ok: true });
+        expect(buffer[1].data).toMatch(/^\[Truncated \d+ bytes\]$/);
+      });
+
+      test('a Map counts as one level of maxDepth', () => {
+        const memory = memorySink();
+        const limitLogger = new Logger(10, testDir, { sinks: [memory], maxDepth: 3 });
+        limitLogger.info('map', { m: new Map([[1, { x: { y: 1 } }]]) });
+        limitLogger.flush();
+
+        expect(memory.flushes[0].events[0].data.m.value).toEqual([[1, { x: '[Truncated Object]' }]]);
+      });
+
+      test('limits top-level string data too', () => {
+        const limitLogger = new Logger(10, testDir, { maxStringLength: 10, maxEntryBytes: 50 });
+
+        limitLogger.info('s', 'x'.repeat(2000));
+        limitLogger.info('wide', 'é'.repeat(10));
+
+        const [short, wide] = limitLogger.getCurrentBuffer();
+        expect(short.data).toBe('xxxxxxxxxx...');
+        expect(wide.data).toBe('éééééééééé');
+
+        const tiny = new Logger(10, testDir, { maxEntryBytes: 50 });
+        tiny.info('s', 'x'.repeat(100));
+        expect(tiny.getCurrentBuffer()[0].data).toMatch(/^\[Truncated \d+ bytes\]$/);
+      });
+
+      test('rejects invalid limits', () => {
+        expect(() => new Logger(10, testDir, { maxDepth: 0 })).toThrow(TypeError);
+        expect(() => new Logger(10, testDir, { maxKeys: 1.5 })).toThrow(TypeError);
+        expect(() => new Logger(10, testDir, { maxEntryBytes: '1kb' })).toThrow(TypeError);
+      });
+    });
+
+    describe('Levels', () => {
+      test('level methods store numeric levels', () => {
+        logger.info('user_login', { userId: 1 });
+        logger.debug({ step: 'parse' });
+        logger.log('warn', { slow: true });
+        logger.log('custom', {});
+
+        const buffer = logger.getCurrentBuffer();
+        expect(buffer.map(e => [e.event, e.level])).toEqual([
+          ['user_login', 30],
+          ['debug', 20],
+          ['warn', 40],
+          ['custom', 30]
+        ]);
+        expect(buffer[1].data).toEqual({ step: 'parse' });
+      });
+
+      test('error-level entries trigger regardless of the event name', () => {
+        logger.info('request', { id: 1 });
+        logger.error('db_failed', { code: 'ECONNRESET' });
+
+        const content = JSON.parse(fs.readFileSync(path.join(testDir, 'log-pre-error-context-0.json'), 'utf8'));
+        expect(content.events.map(e => e.level)).toEqual([30, 50]);
+        expect(content.incidents[0].event).toBe('db_failed');
+      });
+
+      test('a numeric level field is data, not a level', () => {
+        logger.log('battery', { level: 80 });
+        logger.log('disk', { level: 'warn' });
+
+        expect(logger.getCurrentBuffer().map(e => [e.event, e.level])).toEqual([['battery', 30], ['disk', 40]]);
+        expect(logger.getStats().errorSeen).toBe(false);
+      });
+
+      test('a minLevel trigger policy still reads a numeric level field', () => {
+        const levelLogger = new Logger(10, testDir, { triggers: { minLevel: 55 } });
+
+        levelLogger.log('custom', { level: 50 });
+        expect(levelLogger.getStats().errorSeen).toBe(false);
+        levelLogger.log('custom', { level: 60 });
+        expect(levelLogger.getStats().errorSeen).toBe(true);
+      });
+
+      test('capture threshold drops entries before they enter the ring', () => {
+        const levelLogger = new Logger(10, testDir, { level: 'info' });
+
+        levelLogger.debug('cache_miss', { key: 'a' });
+        levelLogger.info('request', { id: 1 });
+        expect(levelLogger.getCurrentBuffer().map(e => e.event)).toEqual(['request']);
+
+        levelLogger.setLevel('debug');
+        levelLogger.debug('cache_miss', { key: 'b' });
+        expect(levelLogger.getCurrentBuffer()).toHaveLength(2);
+        expect(levelLogger.getStats().level).toBe(20);
+      });
+
+      test('triggers are captured even below the capture threshold', () => {
+        const levelLogger = new Logger(10, testDir, { level: 'fatal' });
+
+        levelLogger.warn('ignored', {});
+        levelLogger.error('db_failed', {});
+
+        expect(levelLogger.getStats().errorSeen).toBe(true);
+        const content = JSON.parse(fs.readFileSync(path.join(testDir, 'log-pre-error-context-0.json'), 'utf8'));
+        expect(content.events.map(e => e.event)).toEqual(['db_failed']);
+      });
+
+      test('trigger threshold can change at runtime', () => {
+        const levelLogger = new Logger(10, testDir, { triggerLevel: 'fatal' });
+
+        levelLogger.error('db_failed', {});
+        expect(levelLogger.getStats().errorSeen).toBe(false);
+
+        levelLogger.setTriggerLevel('warn');
+        levelLogger.warn('slow_query', {});
+        expect(levelLogger.getStats().errorSeen).toBe(true);
+        expect(levelLogger.getStats().triggerLevel).toBe(40);
+      });
+
+      test('custom triggers turn off the default trigger threshold', () => {
+        const levelLogger = new Logger(10, testDir, { triggers: ['payment_failed'] });
+
+        levelLogger.error('db_failed', {});
+        expect(levelLogger.getStats().errorSeen).toBe(false);
+        expect(levelLogger.getStats().triggerLevel).toBeNull();
+      });
+
+      test('rejects unknown levels', () => {
+        expect(() => new Logger(10, testDir, { level: 'verbose' })).toThrow(TypeError);
+        expect(() => logger.setTriggerLevel('loud')).toThrow(TypeError);
+        expect(() => logger.log('x', {}, 'nope')).toThrow(TypeError);
+      });
+    });
+
+    describe('Child Loggers', () => {
+      test('children write into the same ring with their bindings', () => {
+        const billing = logger.child({ service: 'billing' });
+        const request = billing.child({ requestId: 'r1', service: 'billing-api' });
+
+        logger.info('boot', {});
+        billing.info('invoice', { amount: 10 });
+        request.log('charge', { amount: 10 });
+        request.error('card_declined', { code: 'E42' });
+
+        const content = JSON.parse(fs.readFileSync(path.join(testDir, 'log-pre-error-context-0.json'), 'utf8'));
+        expect(content.events.map(e => [e.event, e.bindings])).toEqual([
+          ['boot', undefined],
+          ['invoice', { service: 'billing' }],
+          ['charge', { service: 'billing-api', requestId: 'r1' }],
+          ['card_declined', { service: 'billing-api', requestId: 'r1' }]
+        ]);
+        expect(content.events[3].level).toBe(50);
+        expect(content.events[3].data).toEqual({ code: 'E42' });
+        expect(content.incidents[0].event).toBe('card_declined');
+      });
+
+      test('bindings are sanitized once and shared by reference', () => {
+        const bindings = { service: 'billing', secret: 's' };
+        const child = new Logger(10, testDir, { redact: ['secret'] }).child(bindings);
+        bindings.service = 'changed';
+
+        child.info('a', {});
+        child.info('b', {});
+
+        const buffer = child.root.getCurrentBuffer();
+        expect(buffer[0].bindings).toEqual({ service: 'billing', secret: '[Redacted]' });
+        expect(buffer[1].bindings).toBe(buffer[0].bindings);
+      });
+
+      test('children share flush and thresholds with the root', async() => {
+        const rootLogger = new Logger(10, testDir, { level: 'info', sinks: [memorySink()] });
+        const child = rootLogger.child({ job: 7 });
+
+        child.debug('skipped', {});
+        child.info('kept', {});
+        await child.flush('manual');
+
+        expect(rootLogger.sinks[0].flushes[0].events.map(e => e.event)).toEqual(['kept']);
+      });
+
+      test('rejects non-object bindings', () => {
+        expect(() => logger.child('billing')).toThrow(TypeError);
+        expect(() => logger.child({}).child([1])).toThrow(TypeError);
+      });
+
+      test('maxEntryBytes limits entries, not bindings', () => {
+        const memory = memorySink();
+        const limited = new Logger({ capacity: 8, sinks: [memory], maxEntryBytes: 30 });
+        const bindings = { service: 'billing-service-with-a-long-name', region: 'eu-west-1' };
+        const child = limited.child(bindings).child({ requestId: 'r1' });
+
+        limited.info('boot', {});
+        child.info('charge', {});
+        limited.flush();
+
+        // The whole flush is written, with the bindings intact
+        expect(memory.flushes[0].events.map(e => [e.event, e.bindings])).toEqual([
+          ['boot', undefined],
+          ['charge', { ...bindings, requestId: 'r1' }]
+        ]);
+      });
+
+      test('rejects bindings that do not serialize to an object', () => {
+        expect(() => logger.child({ toJSON: () => 'billing' })).toThrow(TypeError);
+      });
+    });
+
+    describe('Request Contexts', () => {
+      const tick = () => new Promise(resolve => setImmediate(resolve));
+
+      test('each context flushes only its own history plus a global slice', async() => {
+        const memory = memorySink();
+        const ctxLogger = new Logger(32, testDir, { sinks: [memory], contexts: { capacity: 10, globalEntries: 2 } });
+
+        ctxLogger.info('boot', { step: 1 });
+        ctxLogger.info('boot', { step: 2 });
+        ctxLogger.info('boot', { step: 3 });
+
+        const handle = (id, fail) => ctxLogger.runInContext(async() => {
+          ctxLogger.info('request', { id });
+          await tick();
+          ctxLogger.info('query', { id });
+          await tick();
+          if (fail) ctxLogger.error('failed', { id });
+          ctxLogger.info('cleanup', { id });
+        });
+
+        await Promise.all([handle('a', false), handle('b', true), handle('c', false)]);
+
+        expect(memory.flushes.map(f => f.reason)).toEqual(['pre-error-context', 'post-error-context']);
+        const [pre, post] = memory.flushes;
+        expect(pre.events.map(e => [e.event, e.data.step || e.data.id])).toEqual([
+          ['boot', 2], ['boot', 3], ['request', 'b'], ['query', 'b'], ['failed', 'b']
+        ]);
+        expect(pre.incidents).toHaveLength(1);
+        expect(post.events.map(e => [e.event, e.data.id])).toEqual([['cleanup', 'b']]);
+
+        // Context entries never enter the global ring, and ended contexts are dropped
+        expect(ctxLogger.getCurrentBuffer().map(e => e.event)).toEqual(['boot', 'boot', 'boot']);
+        expect(ctxLogger.getStats().activeContexts).toBe(0);
+        expect(ctxLogger.getStats().errorSeen).toBe(false);
+      });
+
+      test('writes the post-error window before the context ring wraps', () => {
+        const memory = memorySink();
+        const ctxLogger = new Logger(8, testDir, { sinks: [memory], contexts: { capacity: 3, globalEntries: 0 } });
+
+        ctxLogger.runInContext(() => {
+          ctxLogger.error('failed', {});
+          for (let i = 0; i < 4; i++) ctxLogger.info('after', { i });
+        });
+
+        expect(memory.flushes.map(f => f.events.length)).toEqual([1, 3, 1]);
+        expect(memory.flushes[2].events[0].data.i).toBe(3);
+      });
+
+      test('ends the context when the callback throws', () => {
+        const ctxLogger = new Logger(8, testDir, { sinks: [memorySink()], contexts: true });
+
+        expect(() => ctxLogger.runInContext(() => { throw new Error('boom'); })).toThrow('boom');
+        expect(ctxLogger.getStats().activeContexts).toBe(0);
+      });
+
+      test('needs the contexts option', () => {
+        expect(() => logger.runInContext(() => {})).toThrow('contexts option');
+        expect(() => new Logger(8, testDir, { contexts: { capacity: 0 } })).toThrow(TypeError);
+      });
+    });
+
+    describe('Event Names', () => {
+      test('only the exact trigger name triggers, not one with the same hash', () => {
+        const memory = memorySink();
+        const strict = new Logger(8, testDir, { sinks: [memory], triggers: ['error'] });
+
+        // Same djb2 hash as "error"
+        strict.info('fQror');
+        expect(memory.flushes).toHaveLength(0);
+        strict.info('error');
+        expect(memory.flushes).toHaveLength(1);
+      });
+
+      test('getCurrentBuffer filters by event name', () => {
+        const ring = new Logger(8, testDir);
+        ring.info('a', { i: 1 });
+        ring.info('b');
+        ring.info('a', { i: 2 });
+
+        expect(ring.getCurrentBuffer('a').map(e => e.data.i)).toEqual([1, 2]);
+        expect(ring.getCurrentBuffer('fQror')).toEqual([]);
+        expect(ring.getCurrentBuffer()).toHaveLength(3);
+      });
+
+      test('getEventCounts counts the entries in the ring', () => {
+        const ring = new Logger(4, testDir);
+        for (let i = 0; i < 6; i++) ring.info(i % 3 === 0 ? 'tick' : 'tock');
+        ring.info('__proto__');
+
+        expect(ring.getEventCounts()).toEqual({ tick: 1, tock: 2, ['__proto__']: 1 });
+      });
+
+      test('names past maxEventNames are still filtered and counted exactly', () => {
+        const ring = new Logger(8, testDir, { maxEventNames: 2 });
+        for (const name of ['a', 'b', 'c', 'd', 'c']) ring.info(name);
+
+        expect(ring.getCurrentBuffer('c')).toHaveLength(2);
+        expect(ring.getEventCounts()).toEqual({ a: 1, b: 1, c: 2, d: 1 });
+        // The optimized loggers report how many names they interned
+        if (ring.getStats().eventNames !== null) expect(ring.getStats().eventNames).toBe(2);
+        expect(() => new Logger(8, testDir, { maxEventNames: 0 })).toThrow(TypeError);
+        expect(() => new Logger(8, testDir, { maxEventNames: 70000 })).toThrow(TypeError);
+      });
+
+      test('clearing and evicting entries updates the counts', () => {
+        const ring = new Logger(8, testDir, { maxBytes: 600 });
+        for (let i = 0; i < 8; i++) ring.info('fill', { payload: 'x'.repeat(100) });
+        ring.info('last');
+
+        const counts = ring.getEventCounts();
+        expect(counts.last).toBe(1);
+        expect(counts.fill).toBe(ring.getCurrentBuffer().length - 1);
+        ring.flush();
+        expect(ring.getEventCounts()).toEqual({});
+      });
+    });
+
+    describe('Trace Context', () => {
+      const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+      const SPAN_ID = '00f067aa0ba902b7';
+      const TRACEPARENT = `00-${TRACE_ID}-${SPAN_ID}-01`;
+
+      test('entries carry the ids of the active traceparent', () => {
+        logger.runWithTrace(TRACEPARENT, () => logger.info('inside'));
+        logger.info('outside');
+        logger.runWithTrace('00-not-a-trace-01', () => logger.info('invalid'));
+
+        const [inside, outside, invalid] = logger.getCurrentBuffer();
+        expect(inside).toMatchObject({ traceId: TRACE_ID, spanId: SPAN_ID });
+        expect(outside.traceId == null).toBe(true);
+        expect(invalid.traceId == null).toBe(true);
+        expect(() => logger.runWithTrace({ traceId: 'xyz' }, () => {})).toThrow(TypeError);
+      });
+
+      test('follows the trace across awaits', async() => {
+        await logger.runWithTrace({ traceId: TRACE_ID }, async() => {
+          await new Promise(resolve => setImmediate(resolve));
+          logger.info('later');
+        });
+
+        expect(logger.getCurrentBuffer()[0].traceId).toBe(TRACE_ID);
+      });
+
+      test('reads ids from the traceContext option', () => {
+        const memory = memorySink();
+        const traced = new Logger(8, testDir, { sinks: [memory], traceContext: () => ({ traceId: TRACE_ID, spanId: SPAN_ID }) });
+        traced.error('failed');
+
+        const [flush] = memory.flushes;
+        expect(flush.events[0]).toMatchObject({ traceId: TRACE_ID, spanId: SPAN_ID });
+        expect(flush.incidents[0]).toMatchObject({ traceId: TRACE_ID, spanId: SPAN_ID });
+        expect(() => new Logger(8, testDir, { traceContext: 'otel' })).toThrow(TypeError);
+      });
+
+      test('a throwing traceContext option logs without trace ids', () => {
+        const memory = memorySink();
+        const traced = new Logger(8, testDir, { sinks: [memory], traceContext: () => { throw new Error('no tracer'); } });
+
+        expect(() => traced.error('failed')).not.toThrow();
+        const [flush] = memory.flushes;
+        expect(flush.events.map(e => e.event)).toEqual(['failed']);
+        expect(flush.events[0].traceId == null).toBe(true);
+        expect(flush.traceIds).toEqual([]);
+      });
+
+      test('writes the correlation and trace ids of an incident at the top of each of its flushes', () => {
+        const memory = memorySink();
+        const traced = new Logger(8, testDir, { sinks: [memory], postErrorEntries: 2 });
+
+        traced.info('before');
+        traced.flush('manual');
+        traced.runWithTrace(TRACEPARENT, () => traced.error('failed'));
+        traced.info('after', { n: 1 });
+        traced.info('after', { n: 2 });
+        traced.error('second incident');
+
+        const [manual, pre, post, second] = memory.flushes;
+        expect(manual).toMatchObject({ correlationId: null, traceIds: [] });
+        expect(Object.keys(pre).slice(0, 6)).toEqual(['schema', 'reason', 'flushId', 'flushedAt', 'correlationId', 'traceIds']);
+        expect(pre.correlationId).toMatch(/^[0-9a-f-]{36}$/);
+        expect(pre.traceIds).toEqual([TRACE_ID]);
+        expect(post).toMatchObject({ reason: 'post-error-context', correlationId: pre.correlationId, traceIds: [TRACE_ID] });
+
+        expect(second.correlationId).not.toBe(pre.correlationId);
+        expect(second.traceIds).toEqual([]);
+        expect(traced.getStats().correlationId).toBe(second.correlationId);
+        traced.close();
+        expect(memory.flushes.pop().correlationId).toBe(second.correlationId);
+        expect(traced.getStats().correlationId).toBe(null);
+      });
+
+      test('context flushes carry their own correlation id', () => {
+        const memory = memorySink();
+        const ctxLogger = new Logger(8, testDir, { sinks: [memory], contexts: { globalEntries: 0 } });
+
+        ctxLogger.runWithTrace(TRACEPARENT, () => ctxLogger.runInContext(() => {
+          ctxLogger.error('failed');
+          ctxLogger.info('cleanup');
+        }));
+
+        const [pre, post] = memory.flushes;
+        expect(pre.correlationId).toEqual(expect.any(String));
+        expect(pre.traceIds).toEqual([TRACE_ID]);
+        expect(post.correlationId).toBe(pre.correlationId);
+        expect(ctxLogger.getStats().correlationId).toBe(null);
+      });
+    });
+
+    describe('Byte Budget', () => {
+      test('evicts the oldest entries until the estimated size fits', () => {
+        const budgetLogger = new Logger(64, testDir, { maxBytes: 2000 });
+
+        for (let i = 0; i < 10; i++) {
+          budgetLogger.log('tick', { i });
+        }
+        expect(budgetLogger.getCurrentBuffer()).toHaveLength(10);
+
+        budgetLogger.log('response', { body: 'x'.repeat(1500) });
+
+        const buffer = budgetLogger.getCurrentBuffer();
+        const stats = budgetLogger.getStats();
+        expect(buffer[buffer.length - 1].event).toBe('response');
+        // Survivors are the newest ticks, still in order
+        const ticks = buffer.slice(0, -1).map(e => e.data.i);
+        expect(ticks.length).toBeGreaterThan(0);
+        expect(ticks.length).toBeLessThan(10);
+        expect(ticks).toEqual(Array.from({ length: ticks.length }, (_, k) => 10 - ticks.length + k));
+        expect(stats.bytes).toBeLessThanOrEqual(2000);
+        expect(stats.maxBytes).toBe(2000);
+      });
+
+      test('keeps an entry that alone exceeds the budget', () => {
+        const budgetLogger = new Logger(8, testDir, { maxBytes: 100 });
+
+        budgetLogger.log('small', { ok: true });
+        budgetLogger.log('huge', { body: 'x'.repeat(500) });
+
+        const buffer = budgetLogger.getCurrentBuffer();
+        expect(buffer.map(e => e.event)).toEqual(['huge']);
+        expect(budgetLogger.getStats().bytes).toBeGreaterThan(100);
+      });
+
+      test('tracks overwritten slots and resets after a flush', () => {
+        const budgetLogger = new Logger(4, testDir, { maxBytes: 100000 });
+
+        for (let i = 0; i < 20; i++) {
+          budgetLogger.log('tick', { i });
+        }
+        const perEntry = budgetLogger.getStats().bytes / budgetLogger.getCurrentBuffer().length;
+        expect(budgetLogger.getStats().bytes).toBeCloseTo(perEntry * 4);
+
+        budgetLogger.log('error', { message: 'boom' });
+        expect(budgetLogger.getStats().bytes).toBe(0);
+      });
+
+      test('reports null bytes without a budget and rejects invalid budgets', () => {
+        expect(logger.getStats().bytes).toBeNull();
+        expect(() => new Logger(10, testDir, { maxBytes: -1 })).toThrow(TypeError);
+      });
+    });
+
+    describe('Type Tagging', () => {
+      test('round-trips Date, Map, Set, BigInt, Buffer and typed arrays through a flush file', () => {
+        const data = {
+          id: 9007199254740993n,
+          at: new Date('2024-01-01T00:00:00.000Z'),
+          owners: new Map([['alice', new Set(['read', 'write'])]]),
+          payload: Buffer.from('hello'),
+          samples: new Float64Array([0.5, 1.25]),
+          nested: { total: 10n, seen: new Set([1, 2]) }
+        };
+
+        logger.log('error', data);
+
+        const content = readFlushFile(path.join(testDir, 'log-pre-error-context-0.json'));
+        expect(content.events[0].data).toEqual(data);
+        expect(content.events[0].data.samples).toBeInstanceOf(Float64Array);
+      });
+
+      test('a BigInt no longer fails the whole entry', () => {
+        logger.log('info', { count: 5n, name: 'job' });
+
+        const data = logger.getCurrentBuffer()[0].data;
+        expect(data.name).toBe('job');
+        expect(decode(data.count)).toBe(5n);
+      });
+
+      test('a top-level BigInt is tagged and flushed with the other entries', () => {
+        const memory = memorySink();
+        const tagged = new Logger(4, testDir, { sinks: [memory] });
+        tagged.info('count', 10n);
+        tagged.info('after');
+        tagged.flush();
+
+        expect(memory.flushes).toHaveLength(1);
+        expect(memory.flushes[0].events.map(e => e.event)).toEqual(['count', 'after']);
+        expect(decode(memory.flushes[0].events[0].data)).toBe(10n);
+      });
+
+      test('short maxStringLength leaves tag names intact', () => {
+        const memory = memorySink();
+        const short = new Logger(4, testDir, { sinks: [memory], maxStringLength: 5 });
+        short.info('binary', { buf: Buffer.from('hi'), clamped: new Uint8ClampedArray([1, 2]), big: new BigUint64Array([3n]) });
+        short.flush();
+
+        const data = decode(memory.flushes[0].events[0].data);
+        expect(data.buf).toEqual(Buffer.from('hi'));
+        expect(data.clamped).toEqual(new Uint8ClampedArray([1, 2]));
+        expect(data.big).toEqual(new BigUint64Array([3n]));
+      });
+
+      test('user objects with a $type key are not decoded as tags', () => {
+        const lookalike = { $type: 'Date', value: 'not a date' };
+        logger.log('error', { lookalike });
+
+        const content = readFlushFile(path.join(testDir, 'log-pre-error-context-0.json'));
+        expect(content.events[0].data.lookalike).toEqual(lookalike);
+      });
+    });
+
     describe('Edge Cases', () => {
       test('should handle rapid successive errors', () => {
         // Multiple errors in quick succession
@@ -422,6 +1730,77 @@ describe('Cross-Implementation Compatibility', () => {
     });
   });
 
+  test('all implementations report the same stats fields', () => {
+    const keys = implementations.map(({ Logger }) => Object.keys(new Logger(4, testDir).getStats()).sort());
+
+    expect(keys[1]).toEqual(keys[0]);
+    expect(keys[2]).toEqual(keys[0]);
+  });
+
+  test('all implementations apply the size limits the same way', () => {
+    class Price {
+      constructor(cents) {
+        this.cents = cents;
+      }
+
+      toJSON() {
+        return { amount: this.cents / 100, currency: 'EUR' };
+      }
+    }
+    const data = () => {
+      const err = new Error('failed');
+      err.details = { query: { table: 'users', where: { id: 1 } } };
+      return {
+        m: new Map([[1, { x: { y: 1 } }], ['k', 'v'.repeat(30)], [{ key: { deep: 1 } }, 2]]),
+        s: new Set([{ a: { b: 1 } }, 2, 3]),
+        lookalike: { $type: 'x', deep: { a: { b: 1 } } },
+        list: [[1, [2, [3, [4]]]], 'y'.repeat(30), 5, 6],
+        wide: { a: 1, b: 2, c: 3, d: { e: { f: 1 } } },
+        err,
+        buf: Buffer.from('buffer contents'),
+        big: 12345678901234567890n,
+        when: new Date(0),
+        url: new URL('https://example.com/orders?page=2'),
+        price: new Price(1999),
+        nested: { deep: { url: new URL('https://example.com/'), price: new Price(5) } }
+      };
+    };
+    const configs = [
+      { maxDepth: 1 }, { maxDepth: 2 }, { maxDepth: 3 }, { maxDepth: 4 },
+      { maxKeys: 1 }, { maxKeys: 2 }, { maxArrayLength: 2 }, { maxStringLength: 4 },
+      { maxDepth: 3, maxKeys: 2, maxArrayLength: 2, maxStringLength: 8 }
+    ];
+
+    for (const limits of configs) {
+      const flushed = implementations.map(({ Logger }) => {
+        const memory = memorySink();
+        const logger = new Logger(4, testDir, { sinks: [memory], ...limits });
+        logger.info('limited', data());
+        logger.flush();
+        return memory.flushes[0].events[0].data;
+      });
+
+      expect({ limits, data: flushed[1] }).toEqual({ limits, data: flushed[0] });
+      expect({ limits, data: flushed[2] }).toEqual({ limits, data: flushed[0] });
+    }
+  });
+
+  test('data that cannot be serialized is flushed as a placeholder by all implementations', () => {
+    for (const { Logger } of implementations) {
+      const memory = memorySink();
+      const logger = new Logger(4, testDir, { sinks: [memory], maxEntryBytes: 20 });
+      logger.info('fn', () => {});
+      logger.info('symbol', Symbol('s'));
+      logger.flush();
+
+      // maxEntryBytes never cuts the placeholder itself
+      expect(memory.flushes[0].events.map(e => e.data)).toEqual([
+        { error: 'serialization failed' },
+        { error: 'serialization failed' }
+      ]);
+    }
+  });
+
   test('all implementations handle same data consistently', () => {
     const testCases = [
       { event: 'simple', data: { message: 'hello' } },
@@ -234,6 +234,17 @@ describe('RingBufferLogger', () => {
       const files = fs.readdirSync(testLogDir);
       expect(files).toHaveLength(1); // Should only have one file
     });
+    test('pre-error context is chronological and ends with the trigger', () => {
+      logger.log('info', { step: 1 });
+      logger.log('info', { step: 2 });
+      logger.log('error', { message: 'boom' });
+
+      const content = JSON.parse(fs.readFileSync(path.join(testLogDir, 'log-pre-error-context-0.json'), 'utf8'));
+      expect(content.events.map(e => e.event)).toEqual(['info', 'info', 'error']);
+      expect(content.incidents).toEqual([
+        { incidentId: 1, event: 'error', ts: content.events[2].ts, position: 2 }
+      ]);
+    });
   });
 
   describe('File Output', () => {
@@ -637,6 +648,26 @@ describe('RingBufferLogger', () => {
         new RingBufferLogger(5, './test-logs/restricted');
       }).not.toThrow();
     });
+
+    test('directory creation failure is reported with the flush, not printed', () => {
+      let failures = 0;
+      fs.mkdirSync = jest.fn(() => {
+        failures++;
+        throw new Error('Permission denied');
+      });
+      console.error.mockClear();
+
+      const restricted = new RingBufferLogger(5, './test-logs/restricted');
+      const errors = [];
+      restricted.on('flush-error', ({ error }) => errors.push(error.message));
+      restricted.log('info', { message: 'test' });
+      restricted.flush();
+
+      expect(console.error).not.toHaveBeenCalled();
+      // Tried again on the flush, then reported with the mkdir error
+      expect(failures).toBe(2);
+      expect(errors).toEqual(['Permission denied']);
+    });
   });
 
   describe('Data Sanitization Edge Cases', () => {
@@ -698,10 +729,12 @@ describe('RingBufferLogger', () => {
       logger.log('info', data);
 
       const buffer = logger.getCurrentBuffer();
-      expect(buffer[0].data.date).toBe('2024-01-01T00:00:00.000Z');
+      // Dates are tagged so readers can restore them
+      expect(buffer[0].data.date).toEqual({ $type: 'Date', value: '2024-01-01T00:00:00.000Z' });
       expect(buffer[0].data.regex).toEqual({});
-      // Error objects get serialized with their enumerable properties
-      expect(buffer[0].data.error).toEqual({});
+      // Error objects keep their name, message and stack
+      expect(buffer[0].data.error).toMatchObject({ name: 'Error', message: 'test error' });
+      expect(buffer[0].data.error.stack).toContain('Error: test error');
     });
 
     test('very large arrays', () => {
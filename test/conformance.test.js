@@ -0,0 +1,23 @@
+const { describeConformance, PROPERTIES } = require('../lib/conformance');
+const OriginalLogger = require('../index');
+const ObjectPooledLogger = require('../index-object-pooled');
+const BitOptimizedLogger = require('../index-bit-optimized');
+
+describeConformance('Original', OriginalLogger);
+describeConformance('Object-Pooled', ObjectPooledLogger);
+describeConformance('Bit-Optimized', BitOptimizedLogger);
+
+// The suite has to catch a logger that breaks a property
+class NewestFirstLogger extends OriginalLogger {
+  getCurrentBuffer(event) {
+    return super.getCurrentBuffer(event).reverse();
+  }
+}
+describeConformance('Newest-first', NewestFirstLogger, { runs: 10, knownGaps: ['ordering'] });
+
+describe('describeConformance', () => {
+  test('rejects unknown properties', () => {
+    expect(PROPERTIES).toContain('capture');
+    expect(() => describeConformance('Any', OriginalLogger, { knownGaps: ['speed'] })).toThrow(TypeError);
+  });
+});
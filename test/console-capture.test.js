@@ -0,0 +1,143 @@
+const path = require('path');
+const { memorySink } = require('../lib/sinks');
+
+const implementations = [
+  { name: 'Original', file: 'index' },
+  { name: 'Object-Pooled', file: 'index-object-pooled' },
+  { name: 'Bit-Optimized', file: 'index-bit-optimized' }
+];
+
+const METHODS = ['trace', 'debug', 'log', 'info', 'warn', 'error'];
+
+describe.each(implementations)('$name console capture', ({ file }) => {
+  const Logger = require(path.resolve(file));
+  let saved;
+  let logger;
+  let sink;
+
+  // Stand-ins for the real console methods, so the test output stays clean
+  // and pass-through can be observed
+  beforeEach(() => {
+    saved = {};
+    for (const method of METHODS) {
+      saved[method] = console[method];
+      console[method] = jest.fn();
+    }
+    sink = memorySink();
+    logger = new Logger(20, './unused', { sinks: [sink] });
+  });
+
+  afterEach(() => {
+    logger.releaseConsole();
+    for (const method of METHODS) console[method] = saved[method];
+  });
+
+  test('logs console calls with mapped levels and formatted messages', () => {
+    const log = console.log;
+    logger.captureConsole();
+
+    console.log('user %s has %d items', 'ann', 3);
+    console.debug('cache miss');
+    console.warn('slow', { ms: 120 });
+
+    expect(log).toHaveBeenCalledWith('user %s has %d items', 'ann', 3);
+    expect(logger.getCurrentBuffer().map(e => [e.event, e.level, e.data])).toEqual([
+      ['console', 30, { method: 'log', message: 'user ann has 3 items' }],
+      ['console', 20, { method: 'debug', message: 'cache miss' }],
+      ['console', 40, { method: 'warn', message: 'slow { ms: 120 }' }]
+    ]);
+  });
+
+  test('console.error only triggers with triggerOnError', () => {
+    logger.captureConsole();
+    console.error('request failed', new Error('boom'));
+
+    const [entry] = logger.getCurrentBuffer();
+    expect(entry).toMatchObject({ level: 50, data: { method: 'error', error: { message: 'boom' } } });
+    expect(entry.data.message).toContain('request failed Error: boom');
+    expect(sink.flushes).toHaveLength(0);
+
+    logger.releaseConsole().captureConsole({ triggerOnError: true });
+    console.error('request failed');
+    expect(sink.flushes).toHaveLength(1);
+    expect(sink.flushes[0].incidents[0].event).toBe('console');
+  });
+
+  test('doesn\'t capture the logger\'s own output', () => {
+    const log = console.log;
+    logger = new Logger(20, './unused', { sinks: [sink], reportToConsole: true });
+    logger.captureConsole({ triggerOnError: true });
+
+    console.error('fatal');
+    logger.flush('manual');
+
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Flushed pre-error-context'));
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Flushed manual'));
+    expect(sink.flushes.flatMap(f => f.events).map(e => e.data.message)).toEqual(['fatal']);
+  });
+
+  test('does not recurse through trigger predicates that print', () => {
+    const noisy = new Logger(20, './unused', {
+      sinks: [sink],
+      triggers: (event) => {
+        console.log('checking', event);
+        return false;
+      }
+    });
+    noisy.captureConsole();
+
+    console.info('hello');
+    expect(noisy.getCurrentBuffer().map(e => e.data.message)).toEqual(['hello']);
+    noisy.releaseConsole();
+  });
+
+  test('level mapping and pass-through are configurable', () => {
+    const warn = console.warn;
+    const info = console.info;
+    logger.captureConsole({ levels: { warn: 'error', info: false }, passThrough: false });
+
+    console.warn('disk almost full');
+    console.info('not captured');
+
+    expect(warn).not.toHaveBeenCalled();
+    expect(info).toHaveBeenCalledWith('not captured');
+    expect(logger.getCurrentBuffer().map(e => e.level)).toEqual([50]);
+    logger.releaseConsole();
+    expect(() => logger.captureConsole({ levels: { table: 'info' } })).toThrow(TypeError);
+    expect(() => logger.captureConsole({ levels: { log: 'loud' } })).toThrow(TypeError);
+  });
+
+  test('uninstalls cleanly', async() => {
+    const originals = METHODS.map(method => console[method]);
+    logger.captureConsole();
+    expect(console.log).not.toBe(originals[2]);
+
+    logger.releaseConsole();
+    expect(METHODS.map(method => console[method])).toEqual(originals);
+    console.log('after release');
+    expect(logger.getCurrentBuffer()).toHaveLength(0);
+
+    // close() releases too, and only one logger can capture at a time
+    logger.captureConsole();
+    const other = new Logger(20, './unused', { sinks: [sink] });
+    expect(() => other.captureConsole()).toThrow('already captured');
+    await logger.close();
+    expect(console.log).toBe(originals[2]);
+    other.captureConsole().releaseConsole();
+  });
+
+  test('a later patch by other code keeps working after release', () => {
+    const log = console.log;
+    logger.captureConsole();
+    const ours = console.log;
+    const theirs = jest.fn((...args) => ours(...args));
+    console.log = theirs;
+
+    logger.releaseConsole();
+    console.log('still printed');
+
+    expect(console.log).toBe(theirs);
+    expect(log).toHaveBeenCalledWith('still printed');
+    expect(logger.getCurrentBuffer()).toHaveLength(0);
+  });
+});
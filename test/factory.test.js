@@ -0,0 +1,46 @@
+const { createLogger, IMPLEMENTATION_NAMES } = require('../lib/factory');
+const { memorySink } = require('../lib/sinks');
+const RingBufferLogger = require('../index');
+const RingBufferLoggerOptimized = require('../index-object-pooled');
+const RingBufferLoggerUltra = require('../index-bit-optimized');
+
+describe('createLogger', () => {
+  test('creates the requested implementation', () => {
+    const classes = { original: RingBufferLogger, pooled: RingBufferLoggerOptimized, bit: RingBufferLoggerUltra };
+
+    expect(IMPLEMENTATION_NAMES).toEqual(['original', 'pooled', 'bit']);
+    for (const implementation of IMPLEMENTATION_NAMES) {
+      const logger = createLogger({ implementation, capacity: 8, sinks: [memorySink()] });
+      expect(logger).toBeInstanceOf(classes[implementation]);
+      expect(logger.getStats().implementation).toBe(implementation);
+    }
+  });
+
+  test('auto keeps the requested capacity exact', () => {
+    expect(createLogger({ capacity: 64, sinks: [] }).getStats().implementation).toBe('pooled');
+    expect(createLogger({ capacity: 100, sinks: [] }).getStats()).toMatchObject({ implementation: 'original', capacity: 100 });
+    expect(createLogger({ sinks: [] }).getStats().capacity).toBe(100);
+  });
+
+  test('passes the options through', () => {
+    const memory = memorySink();
+    const logger = createLogger({ implementation: 'bit', capacity: 4, logDir: './unused', sinks: [memory], level: 'info' });
+
+    logger.debug('skipped');
+    logger.info('kept');
+    logger.error('failed');
+
+    expect(logger.logDir).toBe('./unused');
+    expect(memory.flushes[0].events.map(e => e.event)).toEqual(['kept', 'failed']);
+  });
+
+  test('is exported from the main module', () => {
+    expect(RingBufferLogger.createLogger).toBe(createLogger);
+  });
+
+  test('rejects unknown implementations and non-object options', () => {
+    expect(() => createLogger({ implementation: 'fast' })).toThrow(TypeError);
+    expect(() => createLogger({ implementation: 'toString' })).toThrow(TypeError);
+    expect(() => createLogger(100)).toThrow(TypeError);
+  });
+});
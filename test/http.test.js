@@ -0,0 +1,221 @@
+const http = require('http');
+const path = require('path');
+const { memorySink } = require('../lib/sinks');
+
+const implementations = [
+  { name: 'Original', file: 'index' },
+  { name: 'Object-Pooled', file: 'index-object-pooled' },
+  { name: 'Bit-Optimized', file: 'index-bit-optimized' }
+];
+
+// Plain http server standing in for a framework: the middleware runs first
+// and `next` dispatches to the route handler
+function listen(middleware, handler) {
+  const server = http.createServer((req, res) => middleware(req, res, () => handler(req, res)));
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function request(server, urlPath, headers = {}) {
+  const { port } = server.address();
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: urlPath, headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    });
+    req.on('error', reject);
+  });
+}
+
+// request_end is logged on the response's 'finish', which can land just after
+// the client has read the response
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe.each(implementations)('$name HTTP middleware', ({ file }) => {
+  const Logger = require(path.resolve(file));
+  let server;
+  let sink;
+
+  beforeEach(() => {
+    sink = memorySink();
+  });
+
+  afterEach(async() => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  test('logs request start and end with method, route, status and duration', async() => {
+    const logger = new Logger(20, './unused', { sinks: [sink] });
+    server = await listen(logger.middleware(), (req, res) => res.end('ok'));
+
+    const res = await request(server, '/users/7?token=secret');
+    await settle();
+
+    const entries = logger.getCurrentBuffer();
+    expect(entries.map(e => e.event)).toEqual(['request_start', 'request_end']);
+    expect(entries[0].data).toEqual({ method: 'GET', route: '/users/7' });
+
+    const end = entries[1];
+    expect(end.data).toMatchObject({ method: 'GET', route: '/users/7', status: 200 });
+    expect(typeof end.data.duration).toBe('number');
+    expect(end.data.duration).toBeGreaterThanOrEqual(0);
+    expect(end.bindings).toEqual({ requestId: res.headers['x-request-id'] });
+    expect(sink.flushes).toHaveLength(0);
+  });
+
+  test('attaches a request id and req.log bound to it', async() => {
+    const logger = new Logger(20, './unused', { sinks: [sink] });
+    let seen;
+    server = await listen(logger.middleware(), (req, res) => {
+      seen = req.id;
+      req.log.info('handler', { step: 1 });
+      res.end();
+    });
+
+    const generated = await request(server, '/');
+    const reused = await request(server, '/', { 'x-request-id': 'abc-123' });
+    const rejected = await request(server, '/', { 'x-request-id': 'not a token!' });
+    await settle();
+
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(reused.headers['x-request-id']).toBe('abc-123');
+    expect(seen).toBe(rejected.headers['x-request-id']);
+    expect(rejected.headers['x-request-id']).not.toBe('not a token!');
+
+    const handler = logger.getCurrentBuffer().filter(e => e.event === 'handler');
+    expect(handler[1]).toMatchObject({ data: { step: 1 }, bindings: { requestId: 'abc-123' } });
+  });
+
+  test('5xx responses trigger a flush', async() => {
+    const logger = new Logger(20, './unused', { sinks: [sink] });
+    server = await listen(logger.middleware(), (req, res) => {
+      res.statusCode = req.url === '/broken' ? 503 : 404;
+      res.end();
+    });
+
+    await request(server, '/missing');
+    await settle();
+    expect(sink.flushes).toHaveLength(0);
+
+    await request(server, '/broken');
+    await settle();
+    expect(sink.flushes).toHaveLength(1);
+    const last = sink.flushes[0].events[sink.flushes[0].events.length - 1];
+    expect(last).toMatchObject({ event: 'request_end', level: 50, data: { status: 503 } });
+  });
+
+  test('thrown handler errors trigger a flush and answer 500', async() => {
+    const logger = new Logger(20, './unused', { sinks: [sink] });
+    server = await listen(logger.middleware(), (req) => {
+      if (req.url === '/sync') throw new Error('sync failure');
+      return Promise.reject(new Error('async failure'));
+    });
+
+    const sync = await request(server, '/sync');
+    const rejected = await request(server, '/async');
+    await settle();
+
+    expect(sync.statusCode).toBe(500);
+    expect(rejected.statusCode).toBe(500);
+    // The first error flushes and clears the ring, the second is in the post-error window
+    const logged = sink.flushes.flatMap(f => f.events).concat(logger.getCurrentBuffer());
+    const errors = logged.filter(e => e.event === 'request_error');
+    expect(errors.map(e => e.data.error.message)).toEqual(['sync failure', 'async failure']);
+    expect(sink.flushes[0].reason).toBe('pre-error-context');
+    expect(sink.flushes[0].events.some(e => e.event === 'request_error')).toBe(true);
+  });
+
+  test('uses the route resolver and request id options', async() => {
+    const logger = new Logger(20, './unused', { sinks: [sink] });
+    const middleware = logger.middleware({
+      requestIdHeader: 'X-Trace',
+      genReqId: () => 'fixed',
+      route: () => '/users/:id'
+    });
+    server = await listen(middleware, (req, res) => res.end());
+
+    const res = await request(server, '/users/7');
+    await settle();
+
+    expect(res.headers['x-trace']).toBe('fixed');
+    expect(logger.getCurrentBuffer()[1].data.route).toBe('/users/:id');
+    expect(() => logger.middleware({ route: '/x' })).toThrow(TypeError);
+    expect(() => logger.middleware({ requestIdHeader: '' })).toThrow(TypeError);
+  });
+
+  test('errorHandler records errors caught by the framework', () => {
+    const logger = new Logger(20, './unused', { sinks: [sink] });
+    const middleware = logger.middleware();
+    const req = { method: 'GET', url: '/x', headers: {} };
+    const res = new http.ServerResponse(req);
+    middleware(req, res);
+
+    const err = new Error('routed failure');
+    const next = jest.fn();
+    middleware.errorHandler(err, req, res, next);
+
+    expect(next).toHaveBeenCalledWith(err);
+    expect(sink.flushes).toHaveLength(1);
+    expect(sink.flushes[0].events.pop()).toMatchObject({ event: 'request_error', data: { error: { message: 'routed failure' } } });
+  });
+
+  test('puts the traceparent ids on the request entries', async() => {
+    const logger = new Logger(20, './unused', { sinks: [sink] });
+    server = await listen(logger.middleware(), (req, res) => {
+      req.log.info('handler');
+      res.end();
+    });
+
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    await request(server, '/', { traceparent: `00-${traceId}-00f067aa0ba902b7-01` });
+    await settle();
+
+    const entries = logger.getCurrentBuffer();
+    expect(entries.map(e => e.event)).toEqual(['request_start', 'handler', 'request_end']);
+    expect(entries.every(e => e.traceId === traceId && e.spanId === '00f067aa0ba902b7')).toBe(true);
+  });
+
+  test('runs each request in its own context when contexts are enabled', async() => {
+    const logger = new Logger(20, './unused', { sinks: [sink], contexts: { globalEntries: 0 } });
+    logger.info('startup');
+    server = await listen(logger.middleware(), async(req, res) => {
+      req.log.info('work', { url: req.url });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      res.statusCode = req.url === '/fail' ? 500 : 200;
+      res.end();
+    });
+
+    await Promise.all([request(server, '/ok'), request(server, '/fail'), request(server, '/ok')]);
+    await settle();
+
+    expect(logger.getStats().activeContexts).toBe(0);
+    expect(logger.getCurrentBuffer().map(e => e.event)).toEqual(['startup']);
+
+    const pre = sink.flushes.find(f => f.reason === 'pre-error-context');
+    expect(pre.events.map(e => e.event)).toEqual(['request_start', 'work', 'request_end']);
+    expect(pre.events.every(e => e.bindings.requestId === pre.events[0].bindings.requestId)).toBe(true);
+    expect(pre.events[1].data.url).toBe('/fail');
+  });
+
+  test('a request still in flight when the logger closes finishes quietly', async() => {
+    const logger = new Logger(20, './unused', { sinks: [sink] });
+    const middleware = logger.middleware();
+    const drops = [];
+    logger.on('drop', drop => drops.push(drop));
+    server = await listen(middleware, (req, res) => {
+      // Graceful shutdown closes the logger before the response is written
+      logger.close();
+      setImmediate(() => {
+        middleware.errorHandler(new Error('late'), req, res, () => {});
+        res.statusCode = 503;
+        res.end();
+      });
+    });
+
+    const res = await request(server, '/slow');
+    await settle();
+
+    expect(res.statusCode).toBe(503);
+    expect(drops.map(d => [d.reason, d.event])).toEqual([['closed', 'request_error'], ['closed', 'request_end']]);
+  });
+});
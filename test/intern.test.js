@@ -0,0 +1,52 @@
+const { EventTable, selectEvent, countEvents } = require('../lib/intern');
+
+describe('EventTable', () => {
+  test('gives each distinct name its own id', () => {
+    const table = new EventTable();
+    const error = table.intern('error');
+    const collision = table.intern('fQror'); // same djb2 hash as "error"
+
+    expect(error).toBe(1);
+    expect(collision).toBe(2);
+    expect(table.intern('error')).toBe(error);
+    expect(table.lookup('fQror')).toBe(collision);
+    expect(table.name(collision)).toBe('fQror');
+    expect(table.size).toBe(2);
+  });
+
+  test('lookup does not intern', () => {
+    const table = new EventTable();
+    expect(table.lookup('missing')).toBe(0);
+    expect(table.size).toBe(0);
+  });
+
+  test('stops interning at the limit, except for reserved names', () => {
+    const table = new EventTable(2);
+    table.intern('a');
+    table.intern('b');
+
+    expect(table.intern('c')).toBe(0);
+    expect(table.reserve('c')).toBe(3);
+    expect(table.intern('c')).toBe(3);
+    expect(table.size).toBe(3);
+  });
+});
+
+describe('selectEvent and countEvents', () => {
+  // Ring of 4 slots, next write at slot 1; slot 3 holds a name without an id
+  const table = new EventTable(2);
+  const a = table.intern('a');
+  const b = table.intern('b');
+  const buffer = [{ event: 'a', n: 3 }, undefined, { event: 'b', n: 1 }, { event: 'c', n: 2 }];
+  const ids = new Uint16Array([a, 0, b, 0]);
+
+  test('select entries of one event, oldest first', () => {
+    expect(selectEvent(table, ids, buffer, 1, 'a').map(e => e.n)).toEqual([3]);
+    expect(selectEvent(table, ids, buffer, 1, 'c').map(e => e.n)).toEqual([2]);
+    expect(selectEvent(table, ids, buffer, 1, 'd')).toEqual([]);
+  });
+
+  test('count entries per event', () => {
+    expect(countEvents(table, ids, buffer)).toEqual({ a: 1, b: 1, c: 1 });
+  });
+});
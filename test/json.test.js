@@ -0,0 +1,90 @@
+const path = require('path');
+const { quote, stringify } = require('../lib/json');
+const { memorySink } = require('../lib/sinks');
+const { createRandom } = require('../lib/conformance');
+
+// Weighted towards the characters that need escaping
+const SPECIALS = ['"', '\\', '\n', '\r', '\t', '\b', '\f', '\u0000', '\u001f', '\u007f', '\u2028', '\u2029', '\ud800', '\udfff', '😀', '/', '<', '$', '`', '{'];
+
+function randomString(random) {
+  const length = Math.floor(random() * 24);
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    const pick = random();
+    if (pick < 0.4) {
+      out += SPECIALS[Math.floor(random() * SPECIALS.length)];
+    } else if (pick < 0.8) {
+      out += String.fromCharCode(32 + Math.floor(random() * 95));
+    } else {
+      out += String.fromCharCode(Math.floor(random() * 0x10000));
+    }
+  }
+  return out;
+}
+
+describe('quote', () => {
+  test('matches JSON.stringify for random strings', () => {
+    const random = createRandom(0x5eed);
+    for (let i = 0; i < 5000; i++) {
+      const value = randomString(random);
+      expect(quote(value)).toBe(JSON.stringify(value));
+    }
+  });
+
+  test('matches JSON.stringify for every single code unit', () => {
+    for (let code = 0; code < 0x10000; code++) {
+      const value = String.fromCharCode(code);
+      if (quote(value) !== JSON.stringify(value)) {
+        throw new Error(`Mismatch for \\u${code.toString(16).padStart(4, '0')}`);
+      }
+    }
+  });
+
+  test('writes non-strings the way JSON.stringify does', () => {
+    expect(quote(42)).toBe('42');
+    expect(quote(null)).toBe('null');
+    expect(quote(undefined)).toBe('null');
+    expect(stringify(() => {})).toBe('null');
+    expect(stringify({ a: 1 })).toBe('{"a":1}');
+  });
+});
+
+describe.each([
+  { name: 'Original', file: 'index' },
+  { name: 'Object-Pooled', file: 'index-object-pooled' },
+  { name: 'Bit-Optimized', file: 'index-bit-optimized' }
+])('$name flush output', ({ file }) => {
+  const Logger = require(path.resolve(file));
+
+  test('parses back to the random event names, reasons and data it was given', () => {
+    const random = createRandom(0xf1a5);
+    const sink = memorySink();
+    const logger = new Logger(16, './unused', { sinks: [sink], triggerLevel: null });
+
+    for (let round = 0; round < 100; round++) {
+      const logged = [];
+      for (let i = 0; i < 8; i++) {
+        const event = randomString(random);
+        const data = { [randomString(random)]: randomString(random) };
+        logger.log(event, data, 'info');
+        logged.push({ event, data });
+      }
+      const reason = randomString(random);
+      logger.flush(reason);
+
+      // memorySink JSON.parses each flush, so invalid output throws here
+      const flush = sink.flushes[round];
+      expect(flush.reason).toBe(reason);
+      expect(flush.events.map(e => ({ event: e.event, data: e.data }))).toEqual(logged);
+    }
+  });
+
+  test('writes data JSON cannot represent as the serialization placeholder', () => {
+    const sink = memorySink();
+    const logger = new Logger(4, './unused', { sinks: [sink] });
+    logger.log('fn', () => {});
+    logger.flush();
+
+    expect(sink.flushes[0].events[0].data).toEqual({ error: 'serialization failed' });
+  });
+});
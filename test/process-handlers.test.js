@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const implementations = [
+  { name: 'Original', file: 'index' },
+  { name: 'Object-Pooled', file: 'index-object-pooled' },
+  { name: 'Bit-Optimized', file: 'index-bit-optimized' }
+];
+
+// Runs a real process that crashes after installing the handlers, so the
+// exit path is exercised exactly as Node performs it
+describe.each(implementations)('$name process crash', ({ file }) => {
+  const testDir = path.resolve(`./test-crash-${file}`);
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('flushes and still exits with the uncaught exception', () => {
+    const script = `
+      const Logger = require(${JSON.stringify(path.resolve(file))});
+      const logger = new Logger(8, ${JSON.stringify(testDir)}).installProcessHandlers();
+      logger.log('info', { step: 'before crash' });
+      setImmediate(() => { throw new Error('crashed on purpose'); });
+    `;
+    const result = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 10000 });
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('crashed on purpose');
+
+    const content = JSON.parse(fs.readFileSync(path.join(testDir, 'log-crash-uncaught-exception-0.json'), 'utf8'));
+    expect(content.events.map(e => e.event)).toEqual(['info', 'uncaughtException']);
+    expect(content.events[1].data.error.message).toBe('crashed on purpose');
+  });
+
+  test('keeps the exception in the crash flush above the capture threshold', () => {
+    const script = `
+      const Logger = require(${JSON.stringify(path.resolve(file))});
+      const logger = new Logger(8, ${JSON.stringify(testDir)}, { level: 'warn' }).installProcessHandlers();
+      logger.info('skipped', {});
+      logger.warn('slow', {});
+      setImmediate(() => { throw new Error('crashed on purpose'); });
+    `;
+    const result = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 10000 });
+
+    expect(result.status).toBe(1);
+    const content = JSON.parse(fs.readFileSync(path.join(testDir, 'log-crash-uncaught-exception-0.json'), 'utf8'));
+    expect(content.events.map(e => [e.event, e.level])).toEqual([['slow', 40], ['uncaughtException', 60]]);
+  });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encodeSpecial, createJsonReplacer } = require('../lib/serialize');
+const { decode, parseFlush, readFlushFile } = require('../lib/reader');
+
+const roundTrip = (value) => parseFlush(JSON.stringify(value, createJsonReplacer()));
+
+describe('encodeSpecial', () => {
+  test('tags special values and ignores plain ones', () => {
+    expect(encodeSpecial(7n)).toEqual({ $type: 'BigInt', value: '7' });
+    expect(encodeSpecial(new Date(0))).toEqual({ $type: 'Date', value: '1970-01-01T00:00:00.000Z' });
+    expect(encodeSpecial(new Date('nope'))).toEqual({ $type: 'Date', value: null });
+    expect(encodeSpecial(Buffer.from('hi'))).toEqual({ $type: 'Buffer', value: 'aGk=' });
+    expect(encodeSpecial({ a: 1 })).toBeUndefined();
+    expect(encodeSpecial('text')).toBeUndefined();
+  });
+
+  test('truncates binary data at a whole element', () => {
+    const out = encodeSpecial(new Uint32Array(10), null, { maxBinaryBytes: 10 });
+
+    expect(out.truncated).toBe(40);
+    expect(decode(out)).toEqual(new Uint32Array(2));
+  });
+});
+
+describe('decode', () => {
+  test('round-trips through the JSON replacer', () => {
+    const value = {
+      big: -123456789012345678901234567890n,
+      when: new Date('2024-05-06T07:08:09.010Z'),
+      map: new Map([[1, { deep: new Set(['x']) }], ['k', 2n]]),
+      bytes: Buffer.from([0, 1, 254, 255]),
+      ints: new Int16Array([-1, 300]),
+      raw: new Uint8Array([1, 2, 3]).buffer
+    };
+
+    expect(roundTrip(value)).toEqual(value);
+  });
+
+  test('long binary values are not cut by string truncation', () => {
+    const bytes = Buffer.alloc(900, 7);
+    expect(roundTrip({ bytes }).bytes).toEqual(bytes);
+  });
+
+  test('escaped look-alikes stay plain objects', () => {
+    const value = { $type: 'Set', value: [1, 2], nested: { $type: 'BigInt', value: '1' } };
+    expect(roundTrip(value)).toEqual(value);
+  });
+
+  test('unknown tags are left alone', () => {
+    expect(decode({ $type: 'Custom', value: 1 })).toEqual({ $type: 'Custom', value: 1 });
+  });
+});
+
+describe('readFlushFile', () => {
+  test('reads and decodes a flush file', () => {
+    const file = path.join(os.tmpdir(), `reader-test-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ events: [{ data: { n: 1n } }] }, createJsonReplacer()));
+
+    try {
+      expect(readFlushFile(file).events[0].data.n).toBe(1n);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
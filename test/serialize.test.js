@@ -0,0 +1,73 @@
+const { serializeError, createJsonReplacer, isSerializedError } = require('../lib/serialize');
+
+describe('serializeError', () => {
+  test('plain errors', () => {
+    const out = serializeError(new TypeError('bad'));
+
+    expect(out).toMatchObject({ name: 'TypeError', message: 'bad' });
+    expect(typeof out.stack).toBe('string');
+    expect(isSerializedError(out)).toBe(true);
+  });
+
+  test('non-error causes go through cloneValue', () => {
+    const err = new Error('outer', { cause: { attempt: 3 } });
+    const out = serializeError(err, value => ({ cloned: value }));
+
+    expect(out.cause).toEqual({ cloned: { attempt: 3 } });
+  });
+
+  test('limits stack lines', () => {
+    const err = new Error('x');
+    err.stack = 'Error: x\n  at a\n  at b\n  at c';
+
+    expect(serializeError(err, null, { maxStackLines: 2 }).stack).toBe('Error: x\n  at a\n    ... 2 more lines');
+  });
+
+  test('truncates very deep cause chains', () => {
+    let err = new Error('level 0');
+    for (let i = 1; i < 20; i++) err = new Error(`level ${i}`, { cause: err });
+
+    let out = serializeError(err);
+    let depth = 0;
+    while (typeof out.cause === 'object') {
+      out = out.cause;
+      depth++;
+    }
+    expect(depth).toBe(10);
+    expect(out.cause).toBe('[Truncated]');
+  });
+});
+
+describe('createJsonReplacer', () => {
+  test('truncates strings but not error stacks', () => {
+    const err = new Error('e');
+    err.stack = 's'.repeat(2000);
+    const json = JSON.stringify({ long: 'l'.repeat(2000), err }, createJsonReplacer());
+    const parsed = JSON.parse(json);
+
+    expect(parsed.long).toHaveLength(1003);
+    expect(parsed.err.stack).toHaveLength(2000);
+  });
+
+  test('errors referencing themselves do not recurse forever', () => {
+    const err = new Error('self');
+    err.self = err;
+
+    expect(JSON.parse(JSON.stringify({ err }, createJsonReplacer())).err.self).toBe('[Circular]');
+  });
+});
+
+describe('createJsonReplacer limits', () => {
+  const stringify = (value, options) => JSON.parse(JSON.stringify(value, createJsonReplacer(options)));
+
+  test('counts the top-level value as depth 1', () => {
+    expect(stringify({ a: { b: 1 } }, { maxDepth: 1 })).toEqual({ a: '[Truncated Object]' });
+    expect(stringify([[1]], { maxDepth: 1 })).toEqual(['[Truncated Array]']);
+  });
+
+  test('markers are not cut by the string limit', () => {
+    expect(stringify({ list: [1, 2, 3] }, { maxArrayLength: 1, maxStringLength: 3 })).toEqual({
+      list: [1, '[Truncated 2 items]']
+    });
+  });
+});
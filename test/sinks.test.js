@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const {
+  fileSink,
+  streamSink,
+  memorySink,
+  createSinks,
+  writeToSinks,
+  writeToSinksAsync
+} = require('../lib/sinks');
+const { compileFilename, createRunId } = require('../lib/filenames');
+
+const record = (flushId = 0) => ({
+  reason: 'pre-error-context',
+  flushId,
+  eventCount: 0,
+  json: JSON.stringify({ schema: 'v1', flushId, events: [] })
+});
+
+describe('sinks', () => {
+  const testDir = './test-sinks';
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('fileSink writes log-<reason>-<flushId>.json', () => {
+    const sink = fileSink(testDir);
+    const filename = sink.write(record(3));
+
+    expect(filename).toBe(path.join(testDir, 'log-pre-error-context-3.json'));
+    expect(JSON.parse(fs.readFileSync(filename, 'utf8')).flushId).toBe(3);
+  });
+
+  test('fileSink without fsync', () => {
+    const sink = fileSink(testDir, { fsync: false });
+    expect(fs.existsSync(sink.write(record()))).toBe(true);
+  });
+
+  test('streamSink appends a separator', () => {
+    const stream = new PassThrough();
+    streamSink(stream, { separator: '\n---\n' }).write(record());
+
+    expect(stream.read().toString()).toMatch(/\}\n---\n$/);
+  });
+
+  test('memorySink keeps at most `limit` flushes', () => {
+    const sink = memorySink({ limit: 2 });
+    sink.write(record(0));
+    sink.write(record(1));
+    sink.write(record(2));
+
+    expect(sink.flushes.map(f => f.flushId)).toEqual([1, 2]);
+    sink.clear();
+    expect(sink.flushes).toHaveLength(0);
+  });
+
+  test('createSinks defaults to a file sink', () => {
+    const sinks = createSinks(undefined, testDir);
+
+    expect(sinks).toHaveLength(1);
+    expect(sinks[0].type).toBe('file');
+    expect(fs.existsSync(testDir)).toBe(true);
+  });
+
+  test('createSinks wraps functions and streams', () => {
+    const sinks = createSinks([() => {}, new PassThrough(), memorySink()], testDir);
+    expect(sinks.map(s => s.type)).toEqual(['function', 'stream', 'memory']);
+  });
+
+  test('writeToSinks collects targets and errors', () => {
+    const failure = new Error('nope');
+    const result = writeToSinks([
+      { write: () => 'a' },
+      { write: () => { throw failure; } },
+      { write: () => 'b' }
+    ], record());
+
+    expect(result.targets).toEqual(['a', 'b']);
+    expect(result.errors).toEqual([failure]);
+  });
+
+  test('writeToSinksAsync prefers writeAsync and settles every sink', async() => {
+    const failure = new Error('nope');
+    const result = await writeToSinksAsync([
+      { write: () => 'sync', writeAsync: async() => 'async' },
+      { write: () => 'only-sync' },
+      { write: () => { throw failure; } }
+    ], record());
+
+    expect(result.targets).toEqual(['async', 'only-sync']);
+    expect(result.errors).toEqual([failure]);
+  });
+
+  test('fileSink writeAsync writes the same file', async() => {
+    const filename = await fileSink(testDir).writeAsync(record(5));
+    expect(JSON.parse(fs.readFileSync(filename, 'utf8')).flushId).toBe(5);
+  });
+
+  test('fileSink leaves no temp file behind when the write fails', () => {
+    const sink = fileSink(testDir);
+    const originalRename = fs.renameSync;
+    fs.renameSync = jest.fn(() => {
+      throw new Error('EXDEV');
+    });
+
+    try {
+      expect(() => sink.write(record())).toThrow('EXDEV');
+    } finally {
+      fs.renameSync = originalRename;
+    }
+    expect(fs.readdirSync(testDir)).toEqual([]);
+  });
+
+  test('fileSink uses the filename template', () => {
+    const sink = fileSink(testDir, { filename: '{runId}-{reason}-{flushId}.json', runId: 'run1' });
+    const filename = sink.write(record(2));
+
+    expect(path.basename(filename)).toBe('run1-pre-error-context-2.json');
+    expect(fs.readdirSync(testDir)).toEqual(['run1-pre-error-context-2.json']);
+  });
+});
+
+describe('filenames', () => {
+  const flush = { reason: 'pre-error-context', flushId: 7, flushedAt: '2024-01-15T14:30:45.123Z' };
+
+  test('default template keeps the historical name', () => {
+    expect(compileFilename()(flush)).toBe('log-pre-error-context-7.json');
+  });
+
+  test('substitutes run id, pid and timestamp', () => {
+    const nameFor = compileFilename('{runId}-{pid}-{timestamp}-{flushId}.json', 'abc');
+    expect(nameFor(flush)).toBe(`abc-${process.pid}-2024-01-15T14-30-45-123Z-7.json`);
+  });
+
+  test('function templates and path separators', () => {
+    const nameFor = compileFilename((r, runId) => `${runId}/${r.reason}.json`, 'x');
+    expect(nameFor(flush)).toBe('x_pre-error-context.json');
+    expect(compileFilename('{reason}.json')({ reason: '../etc' })).toBe('.._etc.json');
+  });
+
+  test('rejects unknown placeholders', () => {
+    expect(() => compileFilename('{reason}-{nope}.json')).toThrow(TypeError);
+    expect(() => compileFilename('')).toThrow(TypeError);
+  });
+
+  test('run ids are unique', () => {
+    expect(createRunId()).not.toBe(createRunId());
+  });
+});
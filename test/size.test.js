@@ -0,0 +1,24 @@
+const { estimateSize, estimateEntrySize } = require('../lib/size');
+
+describe('estimateSize', () => {
+  test('stays close to the JSON size of plain data', () => {
+    const data = { user: { id: 'u-123', name: 'Ann' }, items: [1, 2, 3], ok: true, note: null };
+    const actual = JSON.stringify(data).length;
+
+    expect(estimateSize(data)).toBeGreaterThanOrEqual(actual * 0.8);
+    expect(estimateSize(data)).toBeLessThanOrEqual(actual * 1.5);
+  });
+
+  test('counts binary data as base64 and survives cycles', () => {
+    const data = { buf: Buffer.alloc(300) };
+    data.self = data;
+
+    expect(estimateSize(data)).toBeGreaterThan(400);
+    expect(estimateSize(data)).toBeLessThan(500);
+  });
+
+  test('adds the entry envelope and event name', () => {
+    expect(estimateEntrySize('tick', {}) - estimateEntrySize('', {})).toBe(4);
+    expect(estimateEntrySize('tick', { a: 1 }) - estimateEntrySize('tick', {})).toBe(estimateSize({ a: 1 }) - estimateSize({}));
+  });
+});
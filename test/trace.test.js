@@ -0,0 +1,61 @@
+const { parseTraceparent, runWithTrace, currentTrace, openIncident, addIncidentTrace, incidentHeader } = require('../lib/trace');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const SPAN_ID = '00f067aa0ba902b7';
+
+describe('parseTraceparent', () => {
+  test('parses valid headers', () => {
+    expect(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`)).toEqual({ traceId: TRACE_ID, spanId: SPAN_ID, sampled: true });
+    expect(parseTraceparent(` 00-${TRACE_ID}-${SPAN_ID}-00 `).sampled).toBe(false);
+    // Later versions may append fields
+    expect(parseTraceparent(`01-${TRACE_ID}-${SPAN_ID}-01-extra`).traceId).toBe(TRACE_ID);
+  });
+
+  test('rejects invalid headers', () => {
+    expect(parseTraceparent(undefined)).toBe(null);
+    expect(parseTraceparent('garbage')).toBe(null);
+    expect(parseTraceparent(`00-${TRACE_ID.toUpperCase()}-${SPAN_ID}-01`)).toBe(null);
+    expect(parseTraceparent(`ff-${TRACE_ID}-${SPAN_ID}-01`)).toBe(null);
+    expect(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01-extra`)).toBe(null);
+    expect(parseTraceparent(`00-${'0'.repeat(32)}-${SPAN_ID}-01`)).toBe(null);
+    expect(parseTraceparent(`00-${TRACE_ID}-${'0'.repeat(16)}-01`)).toBe(null);
+  });
+});
+
+describe('runWithTrace', () => {
+  test('sets the current trace for the callback only', () => {
+    const seen = runWithTrace({ traceId: TRACE_ID }, () => currentTrace());
+    expect(seen).toEqual({ traceId: TRACE_ID });
+    expect(currentTrace()).toBe(undefined);
+  });
+
+  test('nested calls replace the outer trace', () => {
+    runWithTrace(`00-${TRACE_ID}-${SPAN_ID}-01`, () => {
+      const inner = runWithTrace({ traceId: 'a'.repeat(32), spanId: 'b'.repeat(16) }, () => currentTrace());
+      expect(inner.traceId).toBe('a'.repeat(32));
+      expect(currentTrace().traceId).toBe(TRACE_ID);
+    });
+  });
+
+  test('validates trace objects', () => {
+    expect(() => runWithTrace({ traceId: TRACE_ID, spanId: 'nope' }, () => {})).toThrow(TypeError);
+    expect(() => runWithTrace(null, () => {})).toThrow(TypeError);
+  });
+});
+
+describe('incidents', () => {
+  test('collect distinct trace ids under one correlation id', () => {
+    const incident = openIncident();
+    addIncidentTrace(incident, TRACE_ID);
+    addIncidentTrace(incident, null);
+    addIncidentTrace(incident, TRACE_ID);
+
+    const header = incidentHeader(incident);
+    expect(header).toEqual({ correlationId: incident.correlationId, traceIds: [TRACE_ID] });
+    // Headers are copies, so queued writes don't see later triggers
+    addIncidentTrace(incident, 'a'.repeat(32));
+    expect(header.traceIds).toEqual([TRACE_ID]);
+    expect(openIncident().correlationId).not.toBe(incident.correlationId);
+    expect(incidentHeader(null)).toEqual({ correlationId: null, traceIds: [] });
+  });
+});
@@ -0,0 +1,86 @@
+const { createTriggerPolicy } = require('../lib/triggers');
+const { LEVELS, toLevel, severityOf, levelOf, resolveLevel } = require('../lib/levels');
+
+describe('createTriggerPolicy', () => {
+  test('defaults to the error event', () => {
+    const policy = createTriggerPolicy();
+
+    expect(policy.test('error', {})).toBe(true);
+    expect(policy.test('info', {})).toBe(false);
+    expect(policy.match).toBeNull();
+  });
+
+  test('accepts strings, arrays and sets of event names', () => {
+    expect(createTriggerPolicy('fatal').test('fatal')).toBe(true);
+    expect(createTriggerPolicy(['a', 'b']).test('b')).toBe(true);
+    expect(createTriggerPolicy(new Set(['c'])).test('c')).toBe(true);
+    expect(createTriggerPolicy(new Set(['c'])).test('error')).toBe(false);
+  });
+
+  test('keeps event names separate from predicates', () => {
+    const policy = createTriggerPolicy(['fatal', () => false]);
+
+    expect([...policy.events]).toEqual(['fatal']);
+    expect(typeof policy.match).toBe('function');
+  });
+
+  test('object form combines events, predicate and level', () => {
+    const policy = createTriggerPolicy({
+      events: ['db_timeout'],
+      when: (event, data) => data.status >= 500,
+      minLevel: 'fatal'
+    });
+
+    expect(policy.test('db_timeout', {})).toBe(true);
+    expect(policy.test('response', { status: 502 })).toBe(true);
+    expect(policy.test('fatal', {})).toBe(true);
+    expect(policy.test('error', {})).toBe(false);
+  });
+
+  test('numeric severity threshold', () => {
+    const policy = createTriggerPolicy({ minLevel: 45 });
+
+    expect(policy.test('warn', {})).toBe(false);
+    expect(policy.test('error', {})).toBe(true);
+    expect(policy.test('custom', { level: 55 })).toBe(true);
+  });
+
+  test('rejects unknown levels and invalid specs', () => {
+    expect(() => createTriggerPolicy({ minLevel: 'loud' })).toThrow(TypeError);
+    expect(() => createTriggerPolicy(42)).toThrow(TypeError);
+  });
+});
+
+describe('levels', () => {
+  test('toLevel resolves names and numbers', () => {
+    expect(toLevel('warn')).toBe(LEVELS.warn);
+    expect(toLevel(35)).toBe(35);
+    expect(toLevel('constructor')).toBeNull();
+    expect(toLevel(undefined)).toBeNull();
+  });
+
+  test('severityOf prefers the event name over data.level', () => {
+    expect(severityOf('error', { level: 'trace' })).toBe(LEVELS.error);
+    expect(severityOf('request', { level: 'debug' })).toBe(LEVELS.debug);
+    expect(severityOf('request', null)).toBeNull();
+  });
+
+  test('levelOf falls back to info', () => {
+    expect(levelOf('request', {})).toBe(LEVELS.info);
+    expect(levelOf('fatal', {})).toBe(LEVELS.fatal);
+  });
+
+  test('resolveLevel validates', () => {
+    expect(resolveLevel(undefined, 7)).toBe(7);
+    expect(resolveLevel(null, 7)).toBeNull();
+    expect(resolveLevel('debug')).toBe(LEVELS.debug);
+    expect(() => resolveLevel('loud', null, 'triggerLevel')).toThrow('Unknown triggerLevel: loud');
+    expect(() => resolveLevel(Infinity)).toThrow(TypeError);
+  });
+
+  test('minLevel uses the level passed by the logger', () => {
+    const policy = createTriggerPolicy({ minLevel: 'error' });
+    expect(policy.test('request', { level: 'fatal' }, LEVELS.info)).toBe(false);
+    expect(policy.test('request', {}, LEVELS.error)).toBe(true);
+  });
+});